@@ -8,6 +8,12 @@ import HomePage from './pages/HomePage'
 import SearchPage from './pages/SearchPage' 
 import CollectionPage from './pages/CollectionPage'
 import BookDetailsPage from './pages/BookDetailsPage'
+import ImportPage from './pages/ImportPage'
+import AuthorPage from './pages/AuthorPage'
+import SeriesPage from './pages/SeriesPage'
+import NotificationCenter from './components/NotificationCenter'
+import UndoNotifier from './components/UndoNotifier'
+import SavedSearchWatcher from './components/SavedSearchWatcher'
 import './App.css'
 
 function App() {
@@ -50,6 +56,15 @@ function App() {
               Example URLs: /book/1, /book/abc123, etc.
             */}
             <Route path="/book/:id" element={<BookDetailsPage />} />
+
+            {/* Author pages: /author/J.%20R.%20R.%20Tolkien?page=2 */}
+            <Route path="/author/:name" element={<AuthorPage />} />
+
+            {/* Collection grouped by series, with missing volumes */}
+            <Route path="/series" element={<SeriesPage />} />
+
+            {/* Goodreads / StoryGraph CSV import */}
+            <Route path="/import" element={<ImportPage />} />
             
             {/* 
               BONUS: 404 Route (catch-all)
@@ -64,6 +79,15 @@ function App() {
             } />
           </Routes>
         </main>
+
+        {/* Toasts (inside the router so actions can navigate) */}
+        <NotificationCenter />
+
+        {/* Undo for destructive changes, plus Ctrl+Z / Ctrl+Shift+Z */}
+        <UndoNotifier />
+
+        {/* Checks saved searches for new results when the app opens */}
+        <SavedSearchWatcher />
       </BrowserRouter>
     </div>
   )
@@ -80,8 +104,8 @@ export default App
      - Routes contains all individual Route definitions
      
   2. Route Patterns:
-     - Static routes: /, /search, /collection
-     - Dynamic routes: /book/:id (id is a parameter)
+     - Static routes: /, /search, /collection, /series
+     - Dynamic routes: /book/:id, /author/:name (parameters)
      - Catch-all: * (handles 404s)
      
   3. Benefits over Conditional Rendering:
@@ -0,0 +1,63 @@
+// AdvancedSearchPanel Component
+// Separate search fields that are composed into a single Google Books query,
+// plus the availability filter that is sent alongside it
+
+import { AVAILABILITY_FILTERS } from '../services/googleBooksApi'
+
+const FIELD_LABELS = [
+  { name: 'title', label: 'Title', placeholder: 'e.g. Dune' },
+  { name: 'author', label: 'Author', placeholder: 'e.g. Frank Herbert' },
+  { name: 'subject', label: 'Subject', placeholder: 'e.g. Science Fiction' },
+  { name: 'publisher', label: 'Publisher', placeholder: 'e.g. Ace Books' },
+  { name: 'isbn', label: 'ISBN', placeholder: 'e.g. 9780441013593' }
+]
+
+function AdvancedSearchPanel({ fields, onChange, disabled }) {
+  /*
+    Controlled Fields
+    - The parent owns the field values so it can keep them in sync
+      with the free-text query box
+  */
+  const handleFieldChange = (name, value) => {
+    onChange({ ...fields, [name]: value })
+  }
+
+  return (
+    <fieldset className="advanced-search" disabled={disabled}>
+      <legend>Advanced search</legend>
+
+      <div className="advanced-search-fields">
+        {FIELD_LABELS.map(({ name, label, placeholder }) => (
+          <div key={name} className="advanced-search-field">
+            <label htmlFor={`advanced-${name}`}>{label}</label>
+            <input
+              id={`advanced-${name}`}
+              type="text"
+              value={fields[name]}
+              onChange={(e) => handleFieldChange(name, e.target.value)}
+              placeholder={placeholder}
+              className="search-input"
+            />
+          </div>
+        ))}
+
+        <div className="advanced-search-field">
+          <label htmlFor="advanced-availability">Availability</label>
+          <select
+            id="advanced-availability"
+            value={fields.availability}
+            onChange={(e) => handleFieldChange('availability', e.target.value)}
+            className="status-filter"
+          >
+            <option value="">Any</option>
+            {Object.entries(AVAILABILITY_FILTERS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+    </fieldset>
+  )
+}
+
+export default AdvancedSearchPanel
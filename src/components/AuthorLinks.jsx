@@ -0,0 +1,20 @@
+// AuthorLinks Component
+// A book's authors as comma-separated links to their author pages
+
+import { Fragment } from 'react'
+import { Link } from 'react-router-dom'
+import { getAuthorPath, isKnownAuthor, UNKNOWN_AUTHOR } from '../utils/authors'
+
+function AuthorLinks({ authors }) {
+  const known = (authors || []).filter(isKnownAuthor)
+  if (known.length === 0) return UNKNOWN_AUTHOR
+
+  return known.map((author, index) => (
+    <Fragment key={author}>
+      {index > 0 && ', '}
+      <Link to={getAuthorPath(author)} className="author-link">{author}</Link>
+    </Fragment>
+  ))
+}
+
+export default AuthorLinks
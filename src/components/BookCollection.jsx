@@ -1,9 +1,26 @@
 // SOLUTION: Enhanced BookCollection Component
 // This component demonstrates routing integration with collection management
 
-import { useState } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useBookCollection } from '../context/BookCollectionContext'
+import ReadingProgress from './ReadingProgress'
+import StarRating from './StarRating'
+import BookTags, { TagChip } from './BookTags'
+import TagManager from './TagManager'
+import ExportMenu from './ExportMenu'
+import BulkActionBar from './BulkActionBar'
+import AuthorLinks from './AuthorLinks'
+import { BOOK_STATUSES } from '../utils/shelves'
+import {
+  DEFAULT_COLLECTION_VIEW,
+  COLLECTION_SORTS,
+  filterCollection,
+  sortCollection,
+  hasActiveFilters
+} from '../utils/collectionView'
+
+const VIEW_SAVE_DELAY_MS = 500
 
 function BookCollection({ onBookSelect }) {
   const { 
@@ -12,10 +29,47 @@ function BookCollection({ onBookSelect }) {
     updateBookStatus, 
     getBooksByStatus,
     getTotalBooks,
-    error 
+    tags,
+    preferences,
+    setPreference,
+    isHydrated,
+    errors,
+    clearError
   } = useBookCollection()
   
-  const [filterStatus, setFilterStatus] = useState('all')
+  /*
+    Collection View
+    - Sort, filters and the filter text are saved as a preference so they
+      survive reloads
+    - Changes apply at once but are only saved after a pause in typing (or
+      on leaving the page): every save writes the whole collection
+  */
+  const [pendingView, setPendingView] = useState(null)
+  const view = { ...DEFAULT_COLLECTION_VIEW, ...preferences.collectionView, ...pendingView }
+  const updateView = (changes) => {
+    setPendingView(pending => ({ ...pending, ...changes }))
+  }
+
+  // Read through a ref so the timer isn't restarted by unrelated renders
+  const latestView = useRef(null)
+  latestView.current = { view, pendingView, setPreference }
+  const flushView = () => {
+    const { view, pendingView, setPreference } = latestView.current
+    if (!pendingView) return
+    setPreference('collectionView', view)
+    setPendingView(null)
+  }
+  useEffect(() => {
+    if (!pendingView) return
+    const timer = setTimeout(flushView, VIEW_SAVE_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [pendingView])
+  useEffect(() => flushView, [])
+  const [showTagManager, setShowTagManager] = useState(false)
+  const [showMoreFilters, setShowMoreFilters] = useState(false)
+  const [isSelecting, setIsSelecting] = useState(false)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [selectionAnchor, setSelectionAnchor] = useState(null) // last clicked book ID
   
   /* 
     SOLUTION: Navigation Integration
@@ -25,18 +79,63 @@ function BookCollection({ onBookSelect }) {
   const navigate = useNavigate()
 
   // SOLUTION: Enhanced Filtering Logic
-  const filteredBooks = filterStatus === 'all' 
-    ? books 
-    : getBooksByStatus(filterStatus)
+  // Ignore saved tag IDs for tags that have since been deleted
+  const visibleTagIds = view.tagIds.filter(tagId => tags.some(tag => tag.id === tagId))
+  const filteredBooks = sortCollection(
+    filterCollection(books, { ...view, tagIds: visibleTagIds }),
+    view.sortBy,
+    view.sortDirection
+  )
+
+  const toggleTagFilter = (tagId) => {
+    updateView({
+      tagIds: visibleTagIds.includes(tagId)
+        ? visibleTagIds.filter(id => id !== tagId)
+        : [...visibleTagIds, tagId]
+    })
+  }
+
+  /*
+    Multi-select
+    - Batch actions only touch selected books the current filter shows
+    - Shift-click selects (or clears) the range from the last clicked book
+  */
+  const selectedBooks = filteredBooks.filter(book => selectedIds.includes(book.id))
+
+  const toggleSelection = (bookId, isRange) => {
+    const shouldSelect = !selectedIds.includes(bookId)
+    const anchorIndex = filteredBooks.findIndex(book => book.id === selectionAnchor)
+    const index = filteredBooks.findIndex(book => book.id === bookId)
+
+    let ids = [bookId]
+    if (isRange && anchorIndex !== -1) {
+      const [start, end] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex]
+      ids = filteredBooks.slice(start, end + 1).map(book => book.id)
+    }
+
+    setSelectedIds(shouldSelect
+      ? [...new Set([...selectedIds, ...ids])]
+      : selectedIds.filter(id => !ids.includes(id)))
+    setSelectionAnchor(bookId)
+  }
+
+  const toggleSelectMode = () => {
+    setIsSelecting(!isSelecting)
+    setSelectedIds([])
+    setSelectionAnchor(null)
+  }
+
+  const resetFilters = () => {
+    updateView({ ...DEFAULT_COLLECTION_VIEW, status: view.status, sortBy: view.sortBy, sortDirection: view.sortDirection })
+  }
 
   const handleStatusChange = (bookId, newStatus) => {
     updateBookStatus(bookId, newStatus)
   }
 
   const handleRemoveBook = (bookId) => {
-    if (window.confirm('Are you sure you want to remove this book from your collection?')) {
-      removeBook(bookId)
-    }
+    // No confirm: the undo toast can bring the book back
+    removeBook(bookId)
   }
 
   /* 
@@ -56,40 +155,202 @@ function BookCollection({ onBookSelect }) {
     <div className="book-collection">
       <div className="collection-header">
         <h2>My Book Collection ({getTotalBooks()} books)</h2>
+
+        <button onClick={() => navigate('/import')} className="btn-secondary">
+          Import from Goodreads / StoryGraph
+        </button>
         
         <div className="filter-controls">
-          <label htmlFor="status-filter">Filter by status:</label>
+          <label htmlFor="status-filter">Shelf:</label>
           <select 
             id="status-filter"
-            value={filterStatus}
-            onChange={(e) => setFilterStatus(e.target.value)}
+            value={view.status}
+            onChange={(e) => updateView({ status: e.target.value })}
             className="status-filter"
           >
             <option value="all">All Books ({getTotalBooks()})</option>
-            <option value="want-to-read">
-              Want to Read ({getBooksByStatus('want-to-read').length})
-            </option>
-            <option value="currently-reading">
-              Currently Reading ({getBooksByStatus('currently-reading').length})
-            </option>
-            <option value="read">
-              Read ({getBooksByStatus('read').length})
-            </option>
+            {BOOK_STATUSES.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label} ({getBooksByStatus(value).length})
+              </option>
+            ))}
+          </select>
+
+          <label htmlFor="rating-filter">My rating:</label>
+          <select
+            id="rating-filter"
+            value={view.minRating}
+            onChange={(e) => updateView({ minRating: Number(e.target.value) })}
+            className="status-filter"
+          >
+            <option value={0}>Any</option>
+            <option value={5}>★★★★★</option>
+            <option value={4}>4+ stars</option>
+            <option value={3}>3+ stars</option>
+            <option value={2}>2+ stars</option>
+            <option value={-1}>Unrated</option>
+          </select>
+
+          <label htmlFor="collection-sort">Sort:</label>
+          <select
+            id="collection-sort"
+            value={view.sortBy}
+            onChange={(e) => updateView({ sortBy: e.target.value })}
+            className="status-filter"
+          >
+            {COLLECTION_SORTS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
           </select>
+          <button
+            onClick={() => updateView({ sortDirection: view.sortDirection === 'asc' ? 'desc' : 'asc' })}
+            className="btn-secondary sort-direction"
+            aria-label={view.sortDirection === 'asc' ? 'Sort ascending (click for descending)' : 'Sort descending (click for ascending)'}
+          >
+            {view.sortDirection === 'asc' ? '↑' : '↓'}
+          </button>
         </div>
       </div>
 
-      {/* SOLUTION: Error Display */}
-      {error && (
-        <div className="error-message">
-          <p>Error: {error}</p>
+      {/* Full-text filter over titles, authors, descriptions, reviews and notes */}
+      <div className="collection-filter">
+        <input
+          type="search"
+          value={view.text}
+          onChange={(e) => setFilterText(e.target.value)}
+          placeholder="Filter by title, author, description or notes..."
+          className="search-input"
+          aria-label="Filter collection"
+        />
+        <button onClick={() => setShowMoreFilters(!showMoreFilters)} className="btn-link" aria-expanded={showMoreFilters}>
+          {showMoreFilters ? 'Fewer filters' : 'More filters'}
+        </button>
+        {hasActiveFilters(view) && (
+          <button onClick={resetFilters} className="btn-link">
+            Reset filters
+          </button>
+        )}
+      </div>
+
+      {/* Range filters: blank bounds are open-ended */}
+      {showMoreFilters && (
+        <div className="range-filters">
+          <fieldset>
+            <legend>Pages</legend>
+            <input
+              type="number"
+              min="0"
+              value={view.minPages}
+              onChange={(e) => updateView({ minPages: e.target.value })}
+              placeholder="Min"
+              aria-label="Minimum pages"
+            />
+            <span>–</span>
+            <input
+              type="number"
+              min="0"
+              value={view.maxPages}
+              onChange={(e) => updateView({ maxPages: e.target.value })}
+              placeholder="Max"
+              aria-label="Maximum pages"
+            />
+          </fieldset>
+          <fieldset>
+            <legend>Published</legend>
+            <input
+              type="number"
+              value={view.minYear}
+              onChange={(e) => updateView({ minYear: e.target.value })}
+              placeholder="From year"
+              aria-label="Published from year"
+            />
+            <span>–</span>
+            <input
+              type="number"
+              value={view.maxYear}
+              onChange={(e) => updateView({ maxYear: e.target.value })}
+              placeholder="To year"
+              aria-label="Published to year"
+            />
+          </fieldset>
         </div>
       )}
 
-      {/* SOLUTION: Enhanced Empty State */}
-      {filteredBooks.length === 0 ? (
+      {/* Tag filter: combine tags with AND ("all") or OR ("any") */}
+      <div className="tag-filter">
+        <span className="tag-filter-label">Tags:</span>
+        {tags.map(tag => (
+          <TagChip
+            key={tag.id}
+            tag={tag}
+            selected={visibleTagIds.includes(tag.id)}
+            onClick={() => toggleTagFilter(tag.id)}
+          />
+        ))}
+        {visibleTagIds.length > 1 && (
+          <select
+            value={view.tagMatchMode}
+            onChange={(e) => updateView({ tagMatchMode: e.target.value })}
+            className="status-filter"
+            aria-label="Tag match mode"
+          >
+            <option value="any">Match any (OR)</option>
+            <option value="all">Match all (AND)</option>
+          </select>
+        )}
+        {visibleTagIds.length > 0 && (
+          <button onClick={() => updateView({ tagIds: [] })} className="btn-link">
+            Clear
+          </button>
+        )}
+        <button onClick={() => setShowTagManager(!showTagManager)} className="btn-link">
+          {showTagManager ? 'Done managing tags' : 'Manage tags'}
+        </button>
+        {books.length > 0 && (
+          <button onClick={toggleSelectMode} className="btn-link" aria-pressed={isSelecting}>
+            {isSelecting ? 'Done selecting' : 'Select books'}
+          </button>
+        )}
+      </div>
+
+      {showTagManager && <TagManager />}
+
+      {isSelecting && (
+        <BulkActionBar
+          selectedBooks={selectedBooks}
+          visibleCount={filteredBooks.length}
+          onSelectAll={() => setSelectedIds(filteredBooks.map(book => book.id))}
+          onClearSelection={() => setSelectedIds([])}
+        />
+      )}
+
+      {/* Export whatever the current filters show */}
+      {isHydrated && books.length > 0 && !isSelecting && (
+        <ExportMenu
+          books={filteredBooks}
+          baseName={view.status === 'all' ? 'codecaddy-collection' : `codecaddy-${view.status}`}
+          label={filteredBooks.length === books.length ? 'Export collection' : 'Export filtered books'}
+        />
+      )}
+
+      {/* SOLUTION: Error Display */}
+      {['storage', 'collection'].filter(scope => errors[scope]).map(scope => (
+        <div key={scope} className="error-message" role="alert">
+          <p>
+            Error: {errors[scope]}
+            <button onClick={() => clearError(scope)} className="btn-link">Dismiss</button>
+          </p>
+        </div>
+      ))}
+
+      {/* Saved collection is still loading from storage */}
+      {!isHydrated ? (
+        <div className="loading-message">
+          <p>Loading your collection...</p>
+        </div>
+      ) : filteredBooks.length === 0 ? (
         <div className="empty-collection">
-          {filterStatus === 'all' ? (
+          {books.length === 0 ? (
             <>
               <p>No books in your collection yet.</p>
               <button 
@@ -100,13 +361,31 @@ function BookCollection({ onBookSelect }) {
               </button>
             </>
           ) : (
-            <p>No books with status "{filterStatus}" found.</p>
+            <>
+              <p>No books match the current filters.</p>
+              <button onClick={resetFilters} className="btn-secondary">
+                Reset filters
+              </button>
+            </>
           )}
         </div>
       ) : (
         <div className="books-grid">
           {filteredBooks.map((book) => (
-            <div key={book.id} className="book-card">
+            <div
+              key={book.id}
+              className={`book-card${selectedIds.includes(book.id) ? ' book-card-selected' : ''}`}
+            >
+              {isSelecting && (
+                <label className="book-select">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(book.id)}
+                    onChange={(e) => toggleSelection(book.id, e.nativeEvent.shiftKey)}
+                  />
+                  <span className="visually-hidden">Select {book.title}</span>
+                </label>
+              )}
               <img 
                 src={book.imageLinks?.thumbnail || 'https://via.placeholder.com/128x192/cccccc/ffffff?text=No+Image'} 
                 alt={book.title}
@@ -115,9 +394,20 @@ function BookCollection({ onBookSelect }) {
               <div className="book-info">
                 <h4>{book.title}</h4>
                 <p className="book-authors">
-                  {book.authors?.join(', ') || 'Unknown Author'}
+                  <AuthorLinks authors={book.authors} />
                 </p>
                 <p className="book-year">{book.publishedDate}</p>
+
+                <div className="book-ratings">
+                  <StarRating value={book.personalRating} label="My rating" size="small" />
+                  {book.averageRating > 0 && (
+                    <span className="google-rating">Google: {book.averageRating}</span>
+                  )}
+                </div>
+
+                {book.status === 'currently-reading' && (
+                  <ReadingProgress book={book} compact />
+                )}
                 
                 <div className="book-status">
                   <label htmlFor={`status-${book.id}`}>Status:</label>
@@ -127,11 +417,13 @@ function BookCollection({ onBookSelect }) {
                     onChange={(e) => handleStatusChange(book.id, e.target.value)}
                     className="status-select"
                   >
-                    <option value="want-to-read">Want to Read</option>
-                    <option value="currently-reading">Currently Reading</option>
-                    <option value="read">Read</option>
+                    {BOOK_STATUSES.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
                   </select>
                 </div>
+
+                <BookTags book={book} />
                 
                 <div className="book-actions">
                   <button 
@@ -1,12 +1,37 @@
 // SOLUTION: Enhanced BookDetails Component
 // This component demonstrates router-aware book details display
 
+import { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useBookCollection } from '../context/BookCollectionContext'
+import { useNotifications } from '../context/NotificationContext'
+import ReadingProgress from './ReadingProgress'
+import PersonalReview from './PersonalReview'
+import BookTags from './BookTags'
+import Recommendations from './Recommendations'
+import AuthorLinks from './AuthorLinks'
+import SeriesEditor from './SeriesEditor'
+import { BOOK_STATUSES, getStatusLabel } from '../utils/shelves'
 
-function BookDetails({ book, onBack }) {
-  const { updateBookStatus } = useBookCollection()
+// Display names for data sources recorded by the merged provider
+const SOURCE_LABELS = {
+  google: 'Google Books',
+  openlibrary: 'Open Library'
+}
+
+// Fields filled in by a secondary source, e.g. "publisher, pageCount"
+function describeFilledFields(book) {
+  const primary = book.sources?.[0]
+  return Object.entries(book.fieldSources || {})
+    .filter(([, source]) => source !== primary)
+    .map(([field, source]) => `${field} from ${SOURCE_LABELS[source] || source}`)
+}
+
+function BookDetails({ book, onBack, isInCollection = true }) {
+  const { updateBookStatus, addBook } = useBookCollection()
+  const notifications = useNotifications()
   const navigate = useNavigate()
+  const [showSimilar, setShowSimilar] = useState(false)
 
   if (!book) {
     return (
@@ -23,6 +48,14 @@ function BookDetails({ book, onBack }) {
     )
   }
 
+  const handleAddBook = () => {
+    if (addBook(book)) {
+      notifications.success(`Added "${book.title}" to your collection`, {
+        actions: [{ label: 'View collection', onClick: () => navigate('/collection') }]
+      })
+    }
+  }
+
   /* 
     SOLUTION: Status Update with Navigation
     - Update book status
@@ -65,8 +98,9 @@ function BookDetails({ book, onBack }) {
         <div className="book-details-info">
           <h1>{book.title}</h1>
           <p className="book-authors">
-            by {book.authors?.join(', ') || 'Unknown Author'}
+            by <AuthorLinks authors={book.authors} />
           </p>
+          <SeriesEditor book={book} editable={isInCollection} />
           
           <div className="book-meta">
             <p><strong>Published:</strong> {book.publishedDate || 'Unknown'}</p>
@@ -75,45 +109,69 @@ function BookDetails({ book, onBack }) {
             {book.categories && (
               <p><strong>Categories:</strong> {book.categories.join(', ')}</p>
             )}
-            <p><strong>Current Status:</strong> 
-              <span className={`status-badge status-${book.status}`}>
-                {book.status?.replace('-', ' ') || 'Unknown'}
-              </span>
-            </p>
+            {book.sources?.length > 1 && (
+              <p className="book-sources">
+                <strong>Sources:</strong> {book.sources.map(source => SOURCE_LABELS[source] || source).join(', ')}
+                {describeFilledFields(book).length > 0 && ` (${describeFilledFields(book).join(', ')})`}
+              </p>
+            )}
+            {isInCollection ? (
+              <p><strong>Current Status:</strong> 
+                <span className={`status-badge status-${book.status}`}>
+                  {getStatusLabel(book.status)}
+                </span>
+              </p>
+            ) : (
+              <p><strong>Current Status:</strong> Not in your collection</p>
+            )}
           </div>
           
+          {isInCollection && book.status === 'currently-reading' && (
+            <ReadingProgress key={book.id} book={book} />
+          )}
+
           {book.description && (
             <div className="book-description">
               <h3>Description</h3>
               <p>{book.description}</p>
             </div>
           )}
+
+          {isInCollection && <BookTags book={book} editable />}
+
+          {isInCollection && <PersonalReview key={book.id} book={book} />}
           
           <div className="book-actions">
-            {/* SOLUTION: Status Update Actions */}
-            <div className="status-actions">
-              <h4>Update Status:</h4>
-              <div className="status-buttons">
-                <button 
-                  onClick={() => handleStatusUpdate('want-to-read')}
-                  className={book.status === 'want-to-read' ? 'btn-primary' : 'btn-secondary'}
-                >
-                  Want to Read
-                </button>
-                <button 
-                  onClick={() => handleStatusUpdate('currently-reading')}
-                  className={book.status === 'currently-reading' ? 'btn-primary' : 'btn-secondary'}
-                >
-                  Currently Reading
-                </button>
-                <button 
-                  onClick={() => handleStatusUpdate('read')}
-                  className={book.status === 'read' ? 'btn-primary' : 'btn-secondary'}
-                >
-                  Read
-                </button>
+            {/* Books not yet owned can only be added */}
+            {!isInCollection ? (
+              <div className="status-actions">
+                <h4>Not in Your Collection</h4>
+                <div className="status-buttons">
+                  <button 
+                    onClick={handleAddBook}
+                    className="btn-primary"
+                  >
+                    Add to Collection
+                  </button>
+                </div>
               </div>
-            </div>
+            ) : (
+              /* SOLUTION: Status Update Actions */
+              <div className="status-actions">
+                <h4>Update Status:</h4>
+                <div className="status-buttons">
+                  {BOOK_STATUSES.map(({ value, label }) => (
+                    <button 
+                      key={value}
+                      onClick={() => handleStatusUpdate(value)}
+                      className={book.status === value ? 'btn-primary' : 'btn-secondary'}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
             
             {/* SOLUTION: Additional Actions */}
             <div className="additional-actions">
@@ -124,15 +182,19 @@ function BookDetails({ book, onBack }) {
                 Back to Collection
               </button>
               <button 
-                onClick={() => navigate('/search')}
+                onClick={() => setShowSimilar(!showSimilar)}
                 className="btn-secondary"
+                aria-expanded={showSimilar}
               >
-                Find Similar Books
+                {showSimilar ? 'Hide Similar Books' : 'Find Similar Books'}
               </button>
             </div>
           </div>
         </div>
       </div>
+
+      {/* Searches on this book's authors, categories and publisher */}
+      {showSimilar && <Recommendations source={book} />}
     </div>
   )
 }
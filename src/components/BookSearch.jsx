@@ -1,13 +1,40 @@
 // SOLUTION: Enhanced BookSearch Component
 // This component demonstrates router integration with search functionality
 
-import { useState } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useBookCollection } from '../context/BookCollectionContext'
+import { useNotifications } from '../context/NotificationContext'
+import { buildAdvancedQuery, parseAdvancedQuery } from '../services/googleBooksApi'
+import AdvancedSearchPanel from './AdvancedSearchPanel'
+import SearchAutocomplete from './SearchAutocomplete'
 
-function BookSearch({ onBookSelect }) {
-  const [searchTerm, setSearchTerm] = useState('')
-  const { searchResults, searchBooks, addBook, isLoading, error } = useBookCollection()
+function BookSearch({ onBookSelect, query = '', sort = 'relevance', filter = '', page = 1, onSearchParamsChange }) {
+  const [searchTerm, setSearchTerm] = useState(query)
+  const [scrollMode, setScrollMode] = useState('button') // 'button' | 'infinite'
+  const [showAdvanced, setShowAdvanced] = useState(false)
+  const [advancedFields, setAdvancedFields] = useState(() => ({ ...parseAdvancedQuery(query), availability: filter }))
+  const {
+    searchResults,
+    searchQuery,
+    searchOrderBy,
+    searchFilter,
+    searchPage,
+    searchBooks,
+    loadMoreResults,
+    searchTotal,
+    searchHasMore,
+    isLoadingMore,
+    addBook,
+    isLoading,
+    errors,
+    clearError,
+    getNewResultIds
+  } = useBookCollection()
+  const notifications = useNotifications()
+  const sentinelRef = useRef(null)
+  // Volumes a saved search for these results hasn't returned before
+  const newResultIds = getNewResultIds(searchQuery, searchOrderBy, searchFilter)
   
   /* 
     SOLUTION: Navigation Integration
@@ -16,44 +43,138 @@ function BookSearch({ onBookSelect }) {
   */
   const navigate = useNavigate()
 
+  /*
+    Advanced Search Sync
+    - Typing in the query box parses operators back into the fields
+    - Editing a field rebuilds the query through SearchFilters.combine
+    - Availability isn't part of the query text, so typing keeps it
+  */
+  const handleSearchTermChange = (value) => {
+    setSearchTerm(value)
+    setAdvancedFields(fields => ({ ...parseAdvancedQuery(value), availability: fields.availability }))
+  }
+
+  const handleAdvancedChange = (fields) => {
+    setAdvancedFields(fields)
+    setSearchTerm(buildAdvancedQuery(fields))
+  }
+
+  /*
+    URL-Driven Searching
+    - Submitting only updates the URL; this effect runs the search
+    - It runs per URL change and reads the loaded results through a ref,
+      so loading results never re-triggers it
+    - Skip the request when the context already holds these results
+      (e.g. coming back from a book's detail page, or after "Load more"
+      has written the new page count into the URL)
+  */
+  const loaded = useRef(null)
+  loaded.current = { searchQuery, searchOrderBy, searchFilter, searchPage, searchBooks }
+
+  useEffect(() => {
+    setSearchTerm(query)
+    setAdvancedFields({ ...parseAdvancedQuery(query), availability: filter })
+    if (!query) return
+
+    const current = loaded.current
+    const alreadyLoaded = current.searchQuery === query &&
+      current.searchOrderBy === sort &&
+      current.searchFilter === filter &&
+      current.searchPage + 1 >= page
+    if (!alreadyLoaded) {
+      current.searchBooks(query, { orderBy: sort, filter, pages: page })
+    }
+  }, [query, sort, filter, page])
+
+  // Load the next page, then record the page count in the URL
+  const handleLoadMore = async () => {
+    const loadedPage = await loadMoreResults()
+    if (loadedPage != null) {
+      onSearchParamsChange?.({ page: loadedPage + 1 }, { replace: true })
+    }
+  }
+
+  const runSearch = async (trimmed) => {
+    const availability = advancedFields.availability
+    if (onSearchParamsChange && (trimmed !== query || availability !== filter)) {
+      onSearchParamsChange({ q: trimmed, filter: availability, page: 1 })
+    } else {
+      // Re-submitting the same query re-runs it for the pages in the URL
+      await searchBooks(trimmed, { orderBy: sort, filter: availability, pages: page })
+    }
+  }
+
   const handleSearch = async (e) => {
     e.preventDefault()
-    if (searchTerm.trim()) {
-      await searchBooks(searchTerm)
+    const trimmed = searchTerm.trim()
+    if (trimmed) await runSearch(trimmed)
+  }
+
+  // Picking a suggestion searches its field, e.g. inauthor:"Le Guin"
+  const handleSuggestionSelect = (suggestion) => {
+    handleSearchTermChange(suggestion.query)
+    runSearch(suggestion.query)
+  }
+
+  const handleSortChange = (newSort) => {
+    if (onSearchParamsChange) {
+      onSearchParamsChange({ sort: newSort, page: 1 })
+    } else if (searchTerm.trim()) {
+      searchBooks(searchTerm.trim(), { orderBy: newSort, filter: advancedFields.availability })
     }
   }
 
   /* 
     SOLUTION: Enhanced Add Book with Navigation
     - Add book to collection
-    - Provide user feedback
-    - Optional: Navigate to collection to see added book
+    - Stay on the search page; the notification links to the book
+    - Duplicates get a warning instead of a false success
   */
   const handleAddBook = (book) => {
-    addBook(book)
-    
-    // Option 1: Stay on search page with feedback
-    alert('Book added to your collection!')
-    
-    // Option 2: Navigate to collection page to see the book
-    // navigate('/collection')
-    
-    // Option 3: Navigate to the book's detail page
-    // navigate(`/book/${book.id}`)
+    const viewAction = { label: 'View in collection', onClick: () => navigate(`/book/${book.id}`) }
+
+    if (addBook(book)) {
+      notifications.success(`Added "${book.title}" to your collection`, { actions: [viewAction] })
+    } else {
+      notifications.warning(`"${book.title}" is already in your collection`, { actions: [viewAction] })
+    }
   }
 
+  /*
+    Infinite Scroll
+    - Watch a sentinel element below the results
+    - Request the next page when it scrolls into view, through a ref so
+      the observer always loads more for the current search
+  */
+  const loadMoreRef = useRef(handleLoadMore)
+  loadMoreRef.current = handleLoadMore
+
+  useEffect(() => {
+    if (scrollMode !== 'infinite' || !searchHasMore || isLoadingMore) return
+    const sentinel = sentinelRef.current
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        loadMoreRef.current()
+      }
+    }, { rootMargin: '200px' })
+
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [scrollMode, searchHasMore, isLoadingMore, searchResults.length])
+
   return (
     <div className="book-search">
       <h2>Search for Books</h2>
       
       <form onSubmit={handleSearch} className="search-form">
-        <input
-          type="text"
+        {/* Stays enabled while loading: a new search cancels the old one */}
+        <SearchAutocomplete
           value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
+          onChange={handleSearchTermChange}
+          onSelect={handleSuggestionSelect}
           placeholder="Search by title, author, or ISBN..."
-          className="search-input"
-          disabled={isLoading} // Disable during loading
         />
         <button 
           type="submit" 
@@ -62,12 +183,43 @@ function BookSearch({ onBookSelect }) {
         >
           {isLoading ? 'Searching...' : 'Search'}
         </button>
+        <select
+          value={sort}
+          onChange={(e) => handleSortChange(e.target.value)}
+          className="status-filter"
+          aria-label="Sort results"
+          disabled={isLoading}
+        >
+          <option value="relevance">Most relevant</option>
+          <option value="newest">Newest first</option>
+        </select>
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={() => setShowAdvanced(!showAdvanced)}
+          aria-expanded={showAdvanced}
+        >
+          {showAdvanced ? 'Hide advanced' : 'Advanced'}
+        </button>
       </form>
 
-      {/* SOLUTION: Error Display */}
-      {error && (
-        <div className="error-message">
-          <p>Error: {error}</p>
+      {showAdvanced && (
+        <form onSubmit={handleSearch}>
+          <AdvancedSearchPanel
+            fields={advancedFields}
+            onChange={handleAdvancedChange}
+            disabled={isLoading}
+          />
+        </form>
+      )}
+
+      {/* SOLUTION: Error Display (search failures only) */}
+      {errors.search && (
+        <div className="error-message" role="alert">
+          <p>
+            Error: {errors.search}
+            <button onClick={() => clearError('search')} className="btn-link">Dismiss</button>
+          </p>
         </div>
       )}
 
@@ -81,17 +233,37 @@ function BookSearch({ onBookSelect }) {
       <div className="search-results">
         {searchResults.length > 0 && !isLoading && (
           <>
-            <h3>Search Results ({searchResults.length})</h3>
+            <div className="search-results-header">
+              <h3>
+                Search Results ({searchResults.length}
+                {searchTotal > searchResults.length && ` of about ${searchTotal}`})
+              </h3>
+              <div className="filter-controls">
+                <label htmlFor="scroll-mode">Show more:</label>
+                <select
+                  id="scroll-mode"
+                  value={scrollMode}
+                  onChange={(e) => setScrollMode(e.target.value)}
+                  className="status-filter"
+                >
+                  <option value="button">With a button</option>
+                  <option value="infinite">While scrolling</option>
+                </select>
+              </div>
+            </div>
             <div className="books-grid">
               {searchResults.map((book) => (
-                <div key={book.id} className="book-card">
+                <div key={book.id} className={`book-card ${newResultIds.has(book.id) ? 'book-card-new' : ''}`}>
                   <img 
                     src={book.imageLinks?.thumbnail || 'https://via.placeholder.com/128x192/cccccc/ffffff?text=No+Image'} 
                     alt={book.title}
                     className="book-cover"
                   />
                   <div className="book-info">
-                    <h4>{book.title}</h4>
+                    <h4>
+                      {book.title}
+                      {newResultIds.has(book.id) && <span className="new-badge">New</span>}
+                    </h4>
                     <p className="book-authors">
                       {book.authors?.join(', ') || 'Unknown Author'}
                     </p>
@@ -114,6 +286,19 @@ function BookSearch({ onBookSelect }) {
                 </div>
               ))}
             </div>
+
+            {/* Pagination: explicit button or infinite-scroll sentinel */}
+            <div className="load-more" ref={sentinelRef}>
+              {isLoadingMore && <p className="loading-message">Loading more books...</p>}
+              {!isLoadingMore && searchHasMore && scrollMode === 'button' && (
+                <button onClick={handleLoadMore} className="btn-secondary">
+                  Load more
+                </button>
+              )}
+              {!searchHasMore && searchResults.length > 0 && (
+                <p className="end-of-results">No more results.</p>
+              )}
+            </div>
           </>
         )}
       </div>
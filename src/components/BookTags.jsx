@@ -0,0 +1,111 @@
+// BookTags Component
+// Shows a book's tags as coloured chips and, when editable, lets the
+// user toggle tags on or off and create new ones inline
+
+import { useState } from 'react'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { TAG_COLORS, getTagTextColor } from '../utils/shelves'
+
+export function TagChip({ tag, onRemove, selected, onClick }) {
+  const style = {
+    background: tag.color,
+    color: getTagTextColor(tag.color)
+  }
+  const className = `tag-chip${selected === false ? ' tag-chip-unselected' : ''}`
+
+  if (onClick) {
+    return (
+      <button
+        type="button"
+        className={className}
+        style={style}
+        onClick={onClick}
+        aria-pressed={selected}
+      >
+        {tag.name}
+      </button>
+    )
+  }
+
+  return (
+    <span className={className} style={style}>
+      {tag.name}
+      {onRemove && (
+        <button
+          type="button"
+          className="tag-chip-remove"
+          onClick={onRemove}
+          aria-label={`Remove tag ${tag.name}`}
+        >
+          ×
+        </button>
+      )}
+    </span>
+  )
+}
+
+function BookTags({ book, editable = false }) {
+  const { tags, setBookTags, createTag } = useBookCollection()
+  const [newTagName, setNewTagName] = useState('')
+
+  const bookTagIds = book.tagIds || []
+  const bookTags = tags.filter(tag => bookTagIds.includes(tag.id))
+
+  const toggleTag = (tagId) => {
+    const next = bookTagIds.includes(tagId)
+      ? bookTagIds.filter(id => id !== tagId)
+      : [...bookTagIds, tagId]
+    setBookTags(book.id, next)
+  }
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    if (!newTagName.trim()) return
+    const color = TAG_COLORS[tags.length % TAG_COLORS.length]
+    const tag = createTag(newTagName, color)
+    if (!bookTagIds.includes(tag.id)) {
+      setBookTags(book.id, [...bookTagIds, tag.id])
+    }
+    setNewTagName('')
+  }
+
+  if (!editable) {
+    return bookTags.length > 0 ? (
+      <div className="book-tags">
+        {bookTags.map(tag => <TagChip key={tag.id} tag={tag} />)}
+      </div>
+    ) : null
+  }
+
+  return (
+    <div className="book-tags-editor">
+      <h4>Shelves &amp; Tags</h4>
+      <div className="book-tags">
+        {tags.length === 0 && <p className="tags-empty">No tags yet. Create one below.</p>}
+        {tags.map(tag => (
+          <TagChip
+            key={tag.id}
+            tag={tag}
+            selected={bookTagIds.includes(tag.id)}
+            onClick={() => toggleTag(tag.id)}
+          />
+        ))}
+      </div>
+      <form onSubmit={handleCreate} className="tag-create-form">
+        <input
+          type="text"
+          value={newTagName}
+          onChange={(e) => setNewTagName(e.target.value)}
+          placeholder="New tag, e.g. favourites"
+          className="search-input"
+          aria-label="New tag name"
+        />
+        <button type="submit" className="btn-secondary" disabled={!newTagName.trim()}>
+          Add Tag
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default BookTags
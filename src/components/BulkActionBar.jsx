@@ -0,0 +1,91 @@
+// BulkActionBar Component
+// Toolbar for the collection's multi-select mode: select all in the
+// current filter, then change status, tag, remove or export the selection
+
+import { useBookCollection } from '../context/BookCollectionContext'
+import { BOOK_STATUSES } from '../utils/shelves'
+import ExportMenu from './ExportMenu'
+
+function BulkActionBar({ selectedBooks, visibleCount, onSelectAll, onClearSelection }) {
+  const { tags, bulkUpdateStatus, bulkRemoveBooks, bulkUpdateTags } = useBookCollection()
+  const selectedIds = selectedBooks.map(book => book.id)
+  const count = selectedIds.length
+
+  /*
+    Batch Handlers
+    - Each select resets to its placeholder after running
+    - Every batch is a single dispatch in the context
+  */
+  const handleStatus = (e) => {
+    if (!e.target.value) return
+    bulkUpdateStatus(selectedIds, e.target.value)
+    e.target.value = ''
+  }
+
+  const handleTag = (e) => {
+    const [mode, tagId] = e.target.value.split(':')
+    if (!tagId) return
+    bulkUpdateTags(selectedIds, mode === 'add' ? { add: [tagId] } : { remove: [tagId] })
+    e.target.value = ''
+  }
+
+  const handleRemove = () => {
+    bulkRemoveBooks(selectedIds)
+    onClearSelection()
+  }
+
+  return (
+    <div className="bulk-action-bar" role="toolbar" aria-label="Batch actions">
+      <span className="bulk-count" aria-live="polite">
+        {count} of {visibleCount} selected
+      </span>
+      <button onClick={onSelectAll} className="btn-link" disabled={count === visibleCount}>
+        Select all
+      </button>
+      <button onClick={onClearSelection} className="btn-link" disabled={count === 0}>
+        Clear
+      </button>
+
+      <select
+        defaultValue=""
+        onChange={handleStatus}
+        className="status-select"
+        aria-label="Set status of selected books"
+        disabled={count === 0}
+      >
+        <option value="" disabled>Set status…</option>
+        {BOOK_STATUSES.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      {tags.length > 0 && (
+        <select
+          defaultValue=""
+          onChange={handleTag}
+          className="status-select"
+          aria-label="Tag selected books"
+          disabled={count === 0}
+        >
+          <option value="" disabled>Tags…</option>
+          <optgroup label="Add tag">
+            {tags.map(tag => <option key={tag.id} value={`add:${tag.id}`}>{tag.name}</option>)}
+          </optgroup>
+          <optgroup label="Remove tag">
+            {tags.map(tag => <option key={tag.id} value={`remove:${tag.id}`}>{tag.name}</option>)}
+          </optgroup>
+        </select>
+      )}
+
+      <button onClick={handleRemove} className="btn-danger" disabled={count === 0}>
+        Remove
+      </button>
+
+      {count > 0 && (
+        <ExportMenu books={selectedBooks} baseName="codecaddy-selection" label="Export selection" />
+      )}
+    </div>
+  )
+}
+
+export default BulkActionBar
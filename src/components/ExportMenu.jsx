@@ -0,0 +1,41 @@
+// ExportMenu Component
+// Exports a list of books (e.g. the current filter) in a chosen format
+
+import { useId, useState } from 'react'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { EXPORT_FORMATS, downloadExport } from '../services/collectionExport'
+
+function ExportMenu({ books, baseName, label = 'Export' }) {
+  const { tags } = useBookCollection()
+  const [format, setFormat] = useState('json')
+  const selectId = useId()
+
+  const handleExport = () => {
+    downloadExport(format, books, { tags }, baseName)
+  }
+
+  return (
+    <div className="export-menu filter-controls">
+      <label htmlFor={selectId}>{label}:</label>
+      <select
+        id={selectId}
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        className="status-filter"
+      >
+        {Object.entries(EXPORT_FORMATS).map(([value, { label: formatLabel }]) => (
+          <option key={value} value={value}>{formatLabel}</option>
+        ))}
+      </select>
+      <button
+        onClick={handleExport}
+        className="btn-secondary"
+        disabled={books.length === 0}
+      >
+        Download ({books.length})
+      </button>
+    </div>
+  )
+}
+
+export default ExportMenu
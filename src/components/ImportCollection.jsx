@@ -0,0 +1,260 @@
+// ImportCollection Component
+// Goodreads / StoryGraph CSV import: parse, match each row to a volume,
+// let the user review unmatched and ambiguous rows, then import in one step
+
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useBookCollection } from '../context/BookCollectionContext'
+import {
+  parseReadingHistory,
+  matchRows,
+  buildImportedBook,
+  getFormatLabel
+} from '../services/readingHistoryImport'
+import { parseBackup } from '../services/collectionExport'
+import { getStatusLabel } from '../utils/shelves'
+
+// Choices for a row: a volume ID, 'csv' (CSV data only) or 'skip'
+function defaultChoice(result) {
+  if (result.state === 'matched') return result.match.id
+  if (result.state === 'ambiguous') return result.match?.id || 'skip'
+  return 'csv'
+}
+
+function describeVolume(book) {
+  const year = book.publishedDate && book.publishedDate !== 'Unknown' ? ` (${book.publishedDate.slice(0, 4)})` : ''
+  return `${book.title} — ${book.authors?.join(', ') || 'Unknown Author'}${year}`
+}
+
+function ImportRow({ entry, onChoiceChange }) {
+  const { row, result, choice } = entry
+
+  return (
+    <tr className={`import-row import-row-${result.state}`}>
+      <td>{row.rowNumber}</td>
+      <td>
+        <strong>{row.title}</strong>
+        <div className="import-row-meta">
+          {row.authors.join(', ')}
+          {row.isbn && ` · ISBN ${row.isbn}`}
+        </div>
+        <div className="import-row-meta">
+          {getStatusLabel(row.status)}
+          {row.rating && ` · ${row.rating}★`}
+          {row.tagNames.length > 0 && ` · ${row.tagNames.join(', ')}`}
+        </div>
+      </td>
+      <td>
+        <span className={`import-state import-state-${result.state}`}>{result.state}</span>
+      </td>
+      <td>
+        <select
+          value={choice}
+          onChange={(e) => onChoiceChange(e.target.value)}
+          className="status-select"
+          aria-label={`Match for row ${row.rowNumber}`}
+        >
+          {result.candidates.map(candidate => (
+            <option key={candidate.id} value={candidate.id}>
+              {describeVolume(candidate)}
+            </option>
+          ))}
+          <option value="csv">Import with CSV data only</option>
+          <option value="skip">Skip this row</option>
+        </select>
+      </td>
+    </tr>
+  )
+}
+
+function ImportCollection() {
+  const { importBooks, getBookById } = useBookCollection()
+  const navigate = useNavigate()
+
+  const [phase, setPhase] = useState('idle') // 'idle' | 'matching' | 'review' | 'done'
+  const [format, setFormat] = useState(null)
+  const [entries, setEntries] = useState([])
+  const [progress, setProgress] = useState({ completed: 0, total: 0 })
+  const [showAll, setShowAll] = useState(false)
+  const [importedCount, setImportedCount] = useState(0)
+  const [error, setError] = useState(null)
+
+  /*
+    Step 1: Parse and Match
+    - Read the file, detect the export format
+    - Look every row up (ISBN first, then title + author)
+  */
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    setError(null)
+    try {
+      const text = await file.text()
+
+      // JSON backups are lossless and already matched: import directly
+      if (file.name.toLowerCase().endsWith('.json')) {
+        const backup = parseBackup(text)
+        const tagName = (tagId) => backup.tags.find(tag => tag.id === tagId)?.name
+        setImportedCount(importBooks(backup.books.map(book => ({
+          book,
+          tagNames: (book.tagIds || []).map(tagName).filter(Boolean)
+        })), backup.tags))
+        setPhase('done')
+        return
+      }
+
+      const parsed = parseReadingHistory(text)
+      if (parsed.rows.length === 0) {
+        throw new Error('The file contains no books.')
+      }
+
+      setFormat(parsed.format)
+      setPhase('matching')
+      setProgress({ completed: 0, total: parsed.rows.length })
+
+      const results = await matchRows(parsed.rows, {
+        onProgress: (completed, total) => setProgress({ completed, total })
+      })
+
+      setEntries(parsed.rows.map((row, index) => ({
+        row,
+        result: results[index],
+        choice: defaultChoice(results[index])
+      })))
+      setPhase('review')
+    } catch (err) {
+      setError(err.message)
+      setPhase('idle')
+    }
+  }
+
+  const handleChoiceChange = (index, choice) => {
+    setEntries(entries.map((entry, i) => (i === index ? { ...entry, choice } : entry)))
+  }
+
+  /*
+    Step 2: Confirm
+    - Nothing reaches the collection until the user confirms the review
+  */
+  const handleImport = () => {
+    const toImport = entries
+      .filter(entry => entry.choice !== 'skip')
+      .map(({ row, result, choice }) => {
+        const volume = choice === 'csv' ? null : result.candidates.find(candidate => candidate.id === choice)
+        return buildImportedBook(row, volume)
+      })
+
+    setImportedCount(importBooks(toImport))
+    setPhase('done')
+  }
+
+  const needsReview = entries.filter(entry => entry.result.state !== 'matched')
+  const visibleEntries = entries
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => showAll || entry.result.state !== 'matched')
+  const selectedCount = entries.filter(entry => entry.choice !== 'skip').length
+  const alreadyOwned = entries.filter(entry => entry.choice !== 'skip' && entry.choice !== 'csv' && getBookById(entry.choice)).length
+
+  return (
+    <div className="import-collection">
+      <h2>Import Reading History</h2>
+      <p>
+        Upload a CSV export from Goodreads (My Books → Import/Export) or StoryGraph
+        (Manage Account → Export), or restore a CodeCaddy JSON backup.
+      </p>
+
+      {error && (
+        <div className="error-message">
+          <p>Error: {error}</p>
+        </div>
+      )}
+
+      {phase === 'idle' && (
+        <div className="import-upload">
+          <label htmlFor="import-file" className="btn-primary">Choose CSV or JSON file</label>
+          <input
+            id="import-file"
+            type="file"
+            accept=".csv,text/csv,.json,application/json"
+            onChange={handleFile}
+            className="visually-hidden"
+          />
+        </div>
+      )}
+
+      {phase === 'matching' && (
+        <div className="loading-message" role="status">
+          <p>
+            Matching {getFormatLabel(format)} books… {progress.completed} of {progress.total}
+          </p>
+        </div>
+      )}
+
+      {phase === 'review' && (
+        <>
+          <div className="import-summary">
+            <p>
+              {entries.length} rows from {getFormatLabel(format)}:{' '}
+              {entries.length - needsReview.length} matched,{' '}
+              {needsReview.length} need review.
+              {alreadyOwned > 0 && ` ${alreadyOwned} are already in your collection and will be skipped.`}
+            </p>
+            <label>
+              <input
+                type="checkbox"
+                checked={showAll}
+                onChange={(e) => setShowAll(e.target.checked)}
+              />{' '}
+              Show matched rows
+            </label>
+          </div>
+
+          {visibleEntries.length === 0 ? (
+            <p className="import-all-matched">Every row was matched. Ready to import.</p>
+          ) : (
+            <table className="import-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>From CSV</th>
+                  <th>Match</th>
+                  <th>Import as</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleEntries.map(({ entry, index }) => (
+                  <ImportRow
+                    key={entry.row.rowNumber}
+                    entry={entry}
+                    onChoiceChange={(choice) => handleChoiceChange(index, choice)}
+                  />
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="additional-actions">
+            <button onClick={handleImport} className="btn-primary" disabled={selectedCount === 0}>
+              Import {selectedCount} books
+            </button>
+            <button onClick={() => setPhase('idle')} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+
+      {phase === 'done' && (
+        <div className="import-done">
+          <p>Imported {importedCount} books into your collection.</p>
+          <button onClick={() => navigate('/collection')} className="btn-primary">
+            View Collection
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ImportCollection
@@ -0,0 +1,90 @@
+// MissingVolumeSearch Component
+// Inline search results for a series volume the collection is missing
+
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { useNotifications } from '../context/NotificationContext'
+import { findSeriesVolume, buildSeriesQuery } from '../services/seriesSearch'
+import { isAbortError } from '../services/requestScheduler'
+import { getSearchPath } from '../utils/savedSearches'
+
+// Results listed when nothing names the volume number outright
+const OTHERS_SHOWN = 5
+
+function MissingVolumeSearch({ series, number }) {
+  const { addBook } = useBookCollection()
+  const notifications = useNotifications()
+  const navigate = useNavigate()
+  const [results, setResults] = useState(null)
+  const [error, setError] = useState(null)
+
+  // Only the fields the query uses, so it re-runs when any of them change
+  const { key, name } = series
+  const firstAuthor = series.authors[0] || ''
+
+  useEffect(() => {
+    const controller = new AbortController()
+    setResults(null)
+    setError(null)
+
+    const query = { key, name, authors: firstAuthor ? [firstAuthor] : [] }
+    findSeriesVolume(query, number, { signal: controller.signal })
+      .then(setResults)
+      .catch((searchError) => {
+        if (!isAbortError(searchError)) setError(searchError.message)
+      })
+
+    return () => controller.abort()
+  }, [key, name, firstAuthor, number])
+
+  const handleAdd = (book) => {
+    if (addBook(book)) {
+      notifications.success(`Added "${book.title}" to your collection`)
+    }
+  }
+
+  if (error) {
+    return <p className="series-search-message" role="alert">Search failed: {error}</p>
+  }
+  if (!results) {
+    return <p className="series-search-message">Searching for {series.name} #{number}...</p>
+  }
+
+  const candidates = results.matches.length > 0 ? results.matches : results.others.slice(0, OTHERS_SHOWN)
+
+  return (
+    <div className="series-search-results">
+      <p className="series-search-message">
+        {results.matches.length > 0
+          ? `Found ${results.matches.length} listing${results.matches.length === 1 ? '' : 's'} for #${number}:`
+          : candidates.length > 0
+            ? `No listing names #${number} outright. Closest results for ${series.name}:`
+            : `Nothing found for ${series.name}.`}
+      </p>
+      <ul>
+        {candidates.map(book => (
+          <li key={book.id}>
+            <span>
+              {book.title}
+              {book.subtitle && `: ${book.subtitle}`}
+              {book.publishedDate && <span className="series-meta"> ({book.publishedDate.slice(0, 4)})</span>}
+            </span>
+            <span className="series-search-actions">
+              <button onClick={() => navigate(`/book/${book.id}`)} className="btn-link">View</button>
+              <button onClick={() => handleAdd(book)} className="btn-link">Add</button>
+            </span>
+          </li>
+        ))}
+      </ul>
+      <button
+        onClick={() => navigate(getSearchPath({ query: buildSeriesQuery(series) }))}
+        className="btn-link"
+      >
+        See all results on the search page
+      </button>
+    </div>
+  )
+}
+
+export default MissingVolumeSearch
@@ -48,6 +48,13 @@ function Navigation() {
         >
           My Collection
         </Link>
+
+        <Link 
+          to="/series" 
+          className={location.pathname === '/series' ? 'nav-link active' : 'nav-link'}
+        >
+          Series
+        </Link>
       </div>
     </nav>
   )
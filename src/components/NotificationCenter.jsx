@@ -0,0 +1,87 @@
+// NotificationCenter Component
+// Renders the notification stack. Errors go in an assertive live region,
+// everything else in a polite one, so screen readers announce each toast.
+
+import { useEffect, useRef, useState } from 'react'
+import { useNotifications } from '../context/NotificationContext'
+
+const LEVEL_ICONS = {
+  success: '✓',
+  info: 'ℹ',
+  warning: '⚠',
+  error: '✕'
+}
+
+function NotificationItem({ notification, onDismiss }) {
+  const [isPaused, setIsPaused] = useState(false)
+  const remaining = useRef(notification.duration)
+  // onDismiss is a new function each render; the timer calls the latest
+  const dismissRef = useRef(onDismiss)
+  dismissRef.current = onDismiss
+
+  /*
+    Auto-dismiss
+    - Hovering or focusing the toast pauses the countdown
+    - duration 0 keeps it until the user dismisses it
+  */
+  useEffect(() => {
+    if (!notification.duration || isPaused) return
+    const startedAt = Date.now()
+    const timer = setTimeout(() => dismissRef.current(), remaining.current)
+    return () => {
+      clearTimeout(timer)
+      remaining.current -= Date.now() - startedAt
+    }
+  }, [isPaused, notification.duration])
+
+  const handleAction = (action) => {
+    action.onClick()
+    onDismiss()
+  }
+
+  return (
+    <div
+      className={`notification notification-${notification.level}`}
+      onMouseEnter={() => setIsPaused(true)}
+      onMouseLeave={() => setIsPaused(false)}
+      onFocus={() => setIsPaused(true)}
+      onBlur={() => setIsPaused(false)}
+    >
+      <span className="notification-icon" aria-hidden="true">{LEVEL_ICONS[notification.level]}</span>
+      <span className="notification-message">{notification.message}</span>
+      {notification.actions.map(action => (
+        <button key={action.label} onClick={() => handleAction(action)} className="btn-link">
+          {action.label}
+        </button>
+      ))}
+      <button onClick={onDismiss} className="notification-close" aria-label="Dismiss notification">
+        ×
+      </button>
+    </div>
+  )
+}
+
+function NotificationCenter() {
+  const { notifications, dismiss } = useNotifications()
+
+  const renderItems = (items) => items.map(notification => (
+    <NotificationItem
+      key={notification.id}
+      notification={notification}
+      onDismiss={() => dismiss(notification.id)}
+    />
+  ))
+
+  return (
+    <div className="notification-center">
+      <div aria-live="polite" className="notification-region">
+        {renderItems(notifications.filter(item => item.level !== 'error'))}
+      </div>
+      <div role="alert" aria-live="assertive" className="notification-region">
+        {renderItems(notifications.filter(item => item.level === 'error'))}
+      </div>
+    </div>
+  )
+}
+
+export default NotificationCenter
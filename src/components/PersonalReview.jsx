@@ -0,0 +1,159 @@
+// PersonalReview Component
+// The user's own rating, written review and private notes for a collection book
+
+import { useState } from 'react'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { useSavedDraft } from '../hooks/useSavedDraft'
+import StarRating from './StarRating'
+
+function formatTimestamp(iso) {
+  return new Date(iso).toLocaleString()
+}
+
+function NoteItem({ bookId, note }) {
+  const { updateNote, deleteNote } = useBookCollection()
+  const [isEditing, setIsEditing] = useState(false)
+  const [text, setText] = useState(note.text)
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    if (!text.trim()) return
+    updateNote(bookId, note.id, text.trim())
+    setIsEditing(false)
+  }
+
+  if (isEditing) {
+    return (
+      <li className="note-item">
+        <form onSubmit={handleSave}>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            className="note-input"
+            aria-label="Edit note"
+            rows={3}
+          />
+          <div className="note-actions">
+            <button type="submit" className="btn-primary">Save</button>
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => {
+                setText(note.text)
+                setIsEditing(false)
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </li>
+    )
+  }
+
+  return (
+    <li className="note-item">
+      <p className="note-text">{note.text}</p>
+      <p className="note-meta">
+        {formatTimestamp(note.createdAt)}
+        {note.updatedAt !== note.createdAt && ` (edited ${formatTimestamp(note.updatedAt)})`}
+      </p>
+      <div className="note-actions">
+        <button onClick={() => setIsEditing(true)} className="btn-secondary">Edit</button>
+        <button onClick={() => deleteNote(bookId, note.id)} className="btn-danger">Delete</button>
+      </div>
+    </li>
+  )
+}
+
+function PersonalReview({ book }) {
+  const { setPersonalRating, setReview, addNote } = useBookCollection()
+  const [reviewDraft, setReviewDraft] = useSavedDraft(book.review || '')
+  const [noteDraft, setNoteDraft] = useState('')
+
+  const reviewChanged = reviewDraft !== (book.review || '')
+
+  const handleSaveReview = (e) => {
+    e.preventDefault()
+    setReview(book.id, reviewDraft.trim())
+  }
+
+  const handleAddNote = (e) => {
+    e.preventDefault()
+    if (!noteDraft.trim()) return
+    addNote(book.id, noteDraft.trim())
+    setNoteDraft('')
+  }
+
+  return (
+    <div className="personal-review">
+      <h3>My Rating &amp; Review</h3>
+
+      <div className="rating-row">
+        <StarRating
+          value={book.personalRating}
+          onChange={(rating) => setPersonalRating(book.id, rating)}
+          label="My rating"
+          size="large"
+        />
+        <span className="rating-value">
+          {book.personalRating ? `${book.personalRating} / 5` : 'Not rated'}
+        </span>
+        {book.personalRating && (
+          <button onClick={() => setPersonalRating(book.id, null)} className="btn-link">
+            Clear
+          </button>
+        )}
+      </div>
+
+      {book.averageRating > 0 && (
+        <p className="google-rating">
+          Google Books average: {book.averageRating} / 5
+          {book.ratingsCount > 0 && ` (${book.ratingsCount} ratings)`}
+        </p>
+      )}
+
+      <form onSubmit={handleSaveReview} className="review-form">
+        <label htmlFor={`review-${book.id}`}>Review</label>
+        <textarea
+          id={`review-${book.id}`}
+          value={reviewDraft}
+          onChange={(e) => setReviewDraft(e.target.value)}
+          placeholder="What did you think?"
+          className="note-input"
+          rows={4}
+        />
+        <button type="submit" className="btn-primary" disabled={!reviewChanged}>
+          Save Review
+        </button>
+      </form>
+
+      <div className="private-notes">
+        <h4>Private Notes</h4>
+        <form onSubmit={handleAddNote} className="note-form">
+          <textarea
+            value={noteDraft}
+            onChange={(e) => setNoteDraft(e.target.value)}
+            placeholder="Add a note (only you can see this)"
+            className="note-input"
+            aria-label="New note"
+            rows={2}
+          />
+          <button type="submit" className="btn-secondary" disabled={!noteDraft.trim()}>
+            Add Note
+          </button>
+        </form>
+
+        {book.notes?.length > 0 && (
+          <ul className="notes-list">
+            {[...book.notes].reverse().map(note => (
+              <NoteItem key={note.id} bookId={book.id} note={note} />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PersonalReview
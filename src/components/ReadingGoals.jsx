@@ -0,0 +1,187 @@
+// ReadingGoals Component
+// Set yearly reading goals, track this year's progress with
+// ahead/behind-schedule pacing, and keep past years as history
+
+import { useState } from 'react'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { GOAL_TYPES, describeGoal } from '../utils/readingGoals'
+
+function describePace(progress, unit) {
+  const amount = Math.abs(progress.difference).toLocaleString()
+  switch (progress.state) {
+    case 'complete':
+      return 'Goal reached!'
+    case 'ahead':
+      return `${amount} ${unit} ahead of schedule`
+    case 'behind':
+      return `${amount} ${unit} behind schedule`
+    case 'on-track':
+      return 'On track'
+    case 'missed':
+      return `Ended ${(progress.target - progress.current).toLocaleString()} ${unit} short`
+    default:
+      return 'Not started yet'
+  }
+}
+
+function GoalRow({ goal }) {
+  const { getGoalProgress, deleteGoal } = useBookCollection()
+  const progress = getGoalProgress(goal)
+  const unit = GOAL_TYPES.find(type => type.value === goal.type)?.unit || 'books'
+
+  return (
+    <li className={`goal-row goal-${progress.state}`}>
+      <div className="goal-row-header">
+        <strong>{describeGoal(goal)}</strong>
+        <button onClick={() => deleteGoal(goal.id)} className="btn-link" aria-label={`Delete goal: ${describeGoal(goal)}`}>
+          Delete
+        </button>
+      </div>
+      <div
+        className="reading-progress-bar"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={progress.target}
+        aria-valuenow={progress.current}
+        aria-label={describeGoal(goal)}
+      >
+        <div className="reading-progress-fill" style={{ width: `${progress.percent}%` }} />
+      </div>
+      <div className="goal-row-meta">
+        <span>{progress.current.toLocaleString()} of {progress.target.toLocaleString()} {unit} ({progress.percent}%)</span>
+        <span className={`goal-pace goal-pace-${progress.state}`}>{describePace(progress, unit)}</span>
+      </div>
+    </li>
+  )
+}
+
+// Same bounds as the year input
+const MIN_GOAL_YEAR = 2000
+const MAX_GOAL_YEAR = 2100
+
+function GoalForm({ defaultYear }) {
+  const { setGoal } = useBookCollection()
+  const [year, setYear] = useState(String(defaultYear))
+  const [type, setType] = useState('books')
+  const [target, setTarget] = useState('')
+  const [category, setCategory] = useState('')
+
+  // An empty or partly typed year field must not save a goal for year 0
+  const yearNumber = Number(year)
+  const isYearValid = year.trim() !== '' && Number.isInteger(yearNumber) &&
+    yearNumber >= MIN_GOAL_YEAR && yearNumber <= MAX_GOAL_YEAR
+  const isValid = isYearValid && Number(target) > 0 && (type !== 'category' || category.trim())
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!isValid) return
+    setGoal({ year: yearNumber, type, target, category })
+    setTarget('')
+    setCategory('')
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="goal-form">
+      <input
+        type="number"
+        min="1"
+        value={target}
+        onChange={(e) => setTarget(e.target.value)}
+        placeholder="e.g. 24"
+        className="search-input"
+        aria-label="Goal target"
+      />
+      <select
+        value={type}
+        onChange={(e) => setType(e.target.value)}
+        className="status-filter"
+        aria-label="Goal type"
+      >
+        {GOAL_TYPES.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      {type === 'category' && (
+        <input
+          type="text"
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          placeholder="Category, e.g. Science"
+          className="search-input"
+          aria-label="Goal category"
+        />
+      )}
+      <label>
+        in{' '}
+        <input
+          type="number"
+          min={MIN_GOAL_YEAR}
+          max={MAX_GOAL_YEAR}
+          value={year}
+          onChange={(e) => setYear(e.target.value)}
+          className="search-input goal-year-input"
+          aria-label="Goal year"
+          aria-invalid={!isYearValid}
+        />
+      </label>
+      <button type="submit" className="btn-primary" disabled={!isValid}>
+        Set goal
+      </button>
+    </form>
+  )
+}
+
+function ReadingGoals() {
+  const { goals, getGoalProgress } = useBookCollection()
+  const [showHistory, setShowHistory] = useState(false)
+  const currentYear = new Date().getFullYear()
+
+  const activeGoals = goals.filter(goal => goal.year >= currentYear)
+    .sort((a, b) => a.year - b.year)
+  const pastGoals = goals.filter(goal => goal.year < currentYear)
+    .sort((a, b) => b.year - a.year)
+  const pastYears = [...new Set(pastGoals.map(goal => goal.year))]
+
+  return (
+    <section className="reading-goals" aria-labelledby="reading-goals-title">
+      <h2 id="reading-goals-title">Reading Goals</h2>
+
+      {activeGoals.length === 0 ? (
+        <p className="stats-empty">No goals for {currentYear} yet. Set one below.</p>
+      ) : (
+        <ul className="goal-list">
+          {activeGoals.map(goal => <GoalRow key={goal.id} goal={goal} />)}
+        </ul>
+      )}
+
+      <GoalForm defaultYear={currentYear} />
+
+      {/* History: past years stay read-only summaries */}
+      {pastYears.length > 0 && (
+        <div className="goal-history">
+          <button onClick={() => setShowHistory(!showHistory)} className="btn-link" aria-expanded={showHistory}>
+            {showHistory ? 'Hide' : 'Show'} past years ({pastYears.length})
+          </button>
+          {showHistory && pastYears.map(year => (
+            <div key={year} className="goal-history-year">
+              <h3>{year}</h3>
+              <ul className="goal-list">
+                {pastGoals.filter(goal => goal.year === year).map(goal => {
+                  const progress = getGoalProgress(goal)
+                  return (
+                    <li key={goal.id} className={`goal-history-row goal-${progress.state}`}>
+                      {progress.state === 'complete' ? '✓' : '✗'} {describeGoal(goal)}:{' '}
+                      {progress.current.toLocaleString()} / {progress.target.toLocaleString()} ({progress.percent}%)
+                    </li>
+                  )
+                })}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default ReadingGoals
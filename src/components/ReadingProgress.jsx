@@ -0,0 +1,123 @@
+// ReadingProgress Component
+// Progress bar for a book, with an optional update form and session log
+
+import { useState } from 'react'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { useSavedDraft } from '../hooks/useSavedDraft'
+import {
+  getProgressPercent,
+  isFinished,
+  tracksPages,
+  todayIsoDate
+} from '../utils/readingProgress'
+
+function ProgressBar({ book }) {
+  const percent = getProgressPercent(book)
+  const label = tracksPages(book)
+    ? `Page ${book.progress?.currentPage || 0} of ${book.pageCount}`
+    : `${percent}% read`
+
+  return (
+    <div className="reading-progress-bar-wrapper">
+      <div
+        className="reading-progress-bar"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+        aria-label={`${book.title} reading progress`}
+      >
+        <div className="reading-progress-fill" style={{ width: `${percent}%` }} />
+      </div>
+      <span className="reading-progress-label">{label}</span>
+    </div>
+  )
+}
+
+function ReadingProgress({ book, compact = false }) {
+  const { updateReadingProgress, updateBookStatus } = useBookCollection()
+  const usesPages = tracksPages(book)
+  const currentValue = usesPages ? (book.progress?.currentPage || 0) : (book.progress?.percent || 0)
+
+  const [value, setValue] = useSavedDraft(String(currentValue))
+  const [date, setDate] = useState(todayIsoDate())
+
+  /*
+    Compact Mode
+    - Just the bar, used on collection cards
+  */
+  if (compact) {
+    return <ProgressBar book={book} />
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    updateReadingProgress(book.id, Number(value), date)
+  }
+
+  const sessions = book.progress?.sessions || []
+
+  return (
+    <div className="reading-progress">
+      <h4>Reading Progress</h4>
+      <ProgressBar book={book} />
+
+      <form onSubmit={handleSubmit} className="reading-progress-form">
+        <label htmlFor={`progress-${book.id}`}>
+          {usesPages ? 'Current page:' : 'Percent read:'}
+        </label>
+        <input
+          id={`progress-${book.id}`}
+          type="number"
+          min={0}
+          max={usesPages ? book.pageCount : 100}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          className="search-input"
+        />
+        <label htmlFor={`progress-date-${book.id}`}>Date:</label>
+        <input
+          id={`progress-date-${book.id}`}
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="search-input"
+        />
+        <button type="submit" className="btn-primary">
+          Update
+        </button>
+      </form>
+
+      {/* Offer to finish the book once the last page is reached */}
+      {isFinished(book) && book.status !== 'read' && (
+        <div className="reading-progress-finished" role="status">
+          <p>You've reached the end of this book!</p>
+          <button
+            onClick={() => updateBookStatus(book.id, 'read')}
+            className="btn-primary"
+          >
+            Mark as Read
+          </button>
+        </div>
+      )}
+
+      {sessions.length > 0 && (
+        <div className="reading-sessions">
+          <h5>Reading Sessions</h5>
+          <ul>
+            {[...sessions].reverse().map((session, index) => (
+              <li key={`${session.date}-${index}`}>
+                <span className="reading-session-date">{session.date}</span>
+                {session.pagesRead > 0
+                  ? ` — ${session.pagesRead} pages (p. ${session.fromPage}–${session.toPage})`
+                  : ` — ${session.fromPercent}% → ${session.toPercent}%`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReadingProgress
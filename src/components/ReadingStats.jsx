@@ -0,0 +1,166 @@
+// ReadingStats Component
+// Stats dashboard for the HomePage: finished books and pages over time,
+// status split, top authors, genres, average length and reading pace
+
+import { useMemo, useState } from 'react'
+import { useBookCollection } from '../context/BookCollectionContext'
+import {
+  STATS_RANGES,
+  resolveStatsRange,
+  computeReadingStats,
+  formatMonthKey
+} from '../utils/readingStats'
+
+// Horizontal bar list; widths are relative to the largest value
+function BarList({ items, formatLabel = (item) => item.name, formatValue = (item) => item.count, getValue = (item) => item.count }) {
+  const max = Math.max(1, ...items.map(getValue))
+
+  return (
+    <ul className="stats-bars">
+      {items.map(item => (
+        <li key={item.key || item.name || item.value} className="stats-bar-row">
+          <span className="stats-bar-label">{formatLabel(item)}</span>
+          <span className="stats-bar-track">
+            <span className="stats-bar-fill" style={{ width: `${(getValue(item) / max) * 100}%` }} />
+          </span>
+          <span className="stats-bar-value">{formatValue(item)}</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function StatCard({ label, value, hint }) {
+  return (
+    <div className="stat-card">
+      <span className="stat-value">{value}</span>
+      <span className="stat-label">{label}</span>
+      {hint && <span className="stat-hint">{hint}</span>}
+    </div>
+  )
+}
+
+function ReadingStats() {
+  const { books } = useBookCollection()
+  const [preset, setPreset] = useState('all')
+  const [customRange, setCustomRange] = useState({ from: '', to: '' })
+
+  const range = useMemo(() => resolveStatsRange(preset, customRange), [preset, customRange])
+  const stats = useMemo(() => computeReadingStats(books, range), [books, range])
+
+  // Monthly chart shows the most recent 12 months with finished books
+  const recentMonths = stats.byMonth.slice(-12)
+
+  return (
+    <section className="reading-stats" aria-labelledby="reading-stats-title">
+      <div className="reading-stats-header">
+        <h2 id="reading-stats-title">Reading Stats</h2>
+        <div className="filter-controls">
+          <label htmlFor="stats-range">Range:</label>
+          <select
+            id="stats-range"
+            value={preset}
+            onChange={(e) => setPreset(e.target.value)}
+            className="status-filter"
+          >
+            {STATS_RANGES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          {preset === 'custom' && (
+            <>
+              <input
+                type="date"
+                value={customRange.from}
+                max={customRange.to || undefined}
+                onChange={(e) => setCustomRange({ ...customRange, from: e.target.value })}
+                aria-label="From date"
+              />
+              <input
+                type="date"
+                value={customRange.to}
+                min={customRange.from || undefined}
+                onChange={(e) => setCustomRange({ ...customRange, to: e.target.value })}
+                aria-label="To date"
+              />
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="stat-cards">
+        <StatCard label="Books finished" value={stats.booksFinished} />
+        <StatCard label="Pages finished" value={stats.pagesFinished.toLocaleString()} />
+        <StatCard
+          label="Average length"
+          value={stats.averageLength ? `${stats.averageLength} pages` : '—'}
+        />
+        <StatCard
+          label="Reading pace"
+          value={`${stats.pagesPerDay} pages/day`}
+          hint={`${stats.pagesLogged.toLocaleString()} pages logged on ${stats.readingDays} days`}
+        />
+        <StatCard
+          label="Time to finish"
+          value={stats.averageDaysToFinish ? `${stats.averageDaysToFinish} days` : '—'}
+          hint="Average from start to finish"
+        />
+      </div>
+
+      <div className="stats-panels">
+        <div className="stats-panel">
+          <h3>Finished per month</h3>
+          {recentMonths.length === 0 ? (
+            <p className="stats-empty">No books finished in this range.</p>
+          ) : (
+            <BarList
+              items={recentMonths}
+              getValue={item => item.books}
+              formatLabel={item => formatMonthKey(item.key)}
+              formatValue={item => `${item.books} · ${item.pages.toLocaleString()} pp`}
+            />
+          )}
+        </div>
+
+        <div className="stats-panel">
+          <h3>Finished per year</h3>
+          {stats.byYear.length === 0 ? (
+            <p className="stats-empty">No books finished in this range.</p>
+          ) : (
+            <BarList
+              items={stats.byYear}
+              getValue={item => item.books}
+              formatLabel={item => item.key}
+              formatValue={item => `${item.books} · ${item.pages.toLocaleString()} pp`}
+            />
+          )}
+        </div>
+
+        <div className="stats-panel">
+          <h3>Status</h3>
+          <BarList items={stats.statusCounts} formatLabel={item => item.label} />
+        </div>
+
+        <div className="stats-panel">
+          <h3>Top authors</h3>
+          {stats.topAuthors.length === 0 ? (
+            <p className="stats-empty">No books added in this range.</p>
+          ) : (
+            <BarList items={stats.topAuthors} />
+          )}
+        </div>
+
+        <div className="stats-panel">
+          <h3>Genres</h3>
+          {stats.genres.length === 0 ? (
+            <p className="stats-empty">No categories for books in this range.</p>
+          ) : (
+            <BarList items={stats.genres} />
+          )}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default ReadingStats
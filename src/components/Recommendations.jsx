@@ -0,0 +1,132 @@
+// Recommendations Component
+// Books similar to one book (`source`), or a "recommended for you" feed
+// built from the reader's finished and highly rated books. Every
+// suggestion says why it was picked.
+
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { useNotifications } from '../context/NotificationContext'
+import { fetchRecommendationCandidates } from '../services/recommendations'
+import { isAbortError } from '../services/requestScheduler'
+import {
+  buildTasteProfile,
+  hasTasteProfile,
+  getSimilarQueries,
+  getFeedQueries,
+  rankRecommendations
+} from '../utils/bookSimilarity'
+
+const PLACEHOLDER_COVER = 'https://via.placeholder.com/128x192/cccccc/ffffff?text=No+Image'
+
+function Recommendations({ source = null, heading, limit = 8 }) {
+  const { books, addBook } = useBookCollection()
+  const notifications = useNotifications()
+  const navigate = useNavigate()
+  const [candidates, setCandidates] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const profile = useMemo(() => buildTasteProfile(books), [books])
+  const queries = useMemo(
+    () => (source ? getSimilarQueries(source) : getFeedQueries(profile)),
+    [source, profile]
+  )
+  // Re-search only when the queries change, not on every collection edit;
+  // the effect reads the queries for the current key through a ref
+  const queryKey = queries.map(({ query }) => query).join('\n')
+  const queriesRef = useRef(queries)
+  queriesRef.current = queries
+
+  useEffect(() => {
+    const currentQueries = queriesRef.current
+    if (currentQueries.length === 0) {
+      setCandidates([])
+      return
+    }
+
+    const controller = new AbortController()
+    setIsLoading(true)
+    setError(null)
+
+    fetchRecommendationCandidates(currentQueries, { signal: controller.signal })
+      .then((results) => {
+        setCandidates(results)
+        setIsLoading(false)
+      })
+      .catch((fetchError) => {
+        if (isAbortError(fetchError)) return
+        setError(fetchError.message)
+        setIsLoading(false)
+      })
+
+    return () => controller.abort()
+  }, [queryKey])
+
+  // Ranked on render so books added from the list drop out straight away
+  const recommendations = useMemo(
+    () => rankRecommendations(candidates, { books, profile, source, limit }),
+    [candidates, books, profile, source, limit]
+  )
+
+  const handleAdd = (book) => {
+    if (addBook(book)) {
+      notifications.success(`Added "${book.title}" to your collection`, {
+        actions: [{ label: 'View in collection', onClick: () => navigate(`/book/${book.id}`) }]
+      })
+    }
+  }
+
+  const title = heading || (source ? `Books Similar to "${source.title}"` : 'Recommended for You')
+
+  return (
+    <section className="recommendations" aria-labelledby={source ? 'similar-heading' : 'recommended-heading'}>
+      <h3 id={source ? 'similar-heading' : 'recommended-heading'}>{title}</h3>
+
+      {!source && !hasTasteProfile(profile) ? (
+        <p className="recommendations-empty">
+          Finish or rate a few books and recommendations based on them will appear here.
+        </p>
+      ) : queries.length === 0 ? (
+        <p className="recommendations-empty">
+          This book has no author, category or publisher details to find similar books with.
+        </p>
+      ) : isLoading ? (
+        <p className="loading-message">Finding books you might like...</p>
+      ) : error ? (
+        <div className="error-message" role="alert">
+          <p>Couldn't load recommendations: {error}</p>
+        </div>
+      ) : recommendations.length === 0 ? (
+        <p className="recommendations-empty">No new suggestions right now. You may already own them all!</p>
+      ) : (
+        <ul className="recommendation-list">
+          {recommendations.map(({ book, explanation, reasons }) => (
+            <li key={book.id} className="recommendation">
+              <img
+                src={book.imageLinks?.thumbnail || PLACEHOLDER_COVER}
+                alt={book.title}
+                className="recommendation-cover"
+              />
+              <div className="recommendation-info">
+                <h4>{book.title}</h4>
+                <p className="book-authors">{book.authors?.join(', ') || 'Unknown Author'}</p>
+                <p className="recommendation-reason" title={reasons.join('\n')}>{explanation}</p>
+                <div className="book-actions">
+                  <button onClick={() => navigate(`/book/${book.id}`)} className="btn-secondary">
+                    View Details
+                  </button>
+                  <button onClick={() => handleAdd(book)} className="btn-primary">
+                    Add to Collection
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default Recommendations
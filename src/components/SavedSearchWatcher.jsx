@@ -0,0 +1,57 @@
+// SavedSearchWatcher Component
+// Re-runs saved searches marked "check when the app opens" once per
+// session and announces the ones with new results. Renders nothing.
+
+import { useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { useNotifications } from '../context/NotificationContext'
+import { getSearchPath } from '../utils/savedSearches'
+
+function SavedSearchWatcher() {
+  const { isHydrated, savedSearches, runSavedSearch } = useBookCollection()
+  const notifications = useNotifications()
+  const navigate = useNavigate()
+  const hasRun = useRef(false)
+
+  // Always use the latest values; the check itself runs once
+  const latest = useRef(null)
+  latest.current = { savedSearches, runSavedSearch, notifications, navigate }
+
+  /*
+    Check on Open
+    - Waits for the saved collection so the previous runs are known
+    - One search at a time to stay gentle on the API quota
+    - Failures only warn in the console; this runs unprompted
+  */
+  useEffect(() => {
+    if (!isHydrated || hasRun.current) return
+    hasRun.current = true
+
+    const watched = latest.current.savedSearches.filter(saved => saved.runOnOpen)
+    if (watched.length === 0) return
+
+    const checkAll = async () => {
+      for (const saved of watched) {
+        try {
+          const { newCount } = await latest.current.runSavedSearch(saved.id)
+          if (newCount > 0) {
+            latest.current.notifications.info(`"${saved.name}" has ${newCount} new result${newCount === 1 ? '' : 's'}`, {
+              key: `saved-search:${saved.id}`,
+              duration: 0,
+              actions: [{ label: 'View', onClick: () => latest.current.navigate(getSearchPath(saved)) }]
+            })
+          }
+        } catch (error) {
+          console.warn(`Saved search "${saved.name}" failed:`, error.message)
+        }
+      }
+    }
+
+    checkAll()
+  }, [isHydrated])
+
+  return null
+}
+
+export default SavedSearchWatcher
@@ -0,0 +1,172 @@
+// SavedSearches Component
+// Saves the current search under a name, lists saved searches with their
+// new-result counts, and shows the recent search history
+
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { useNotifications } from '../context/NotificationContext'
+import { findSavedSearch, isSameSearch, getSearchPath, SEARCH_SORT_LABELS } from '../utils/savedSearches'
+import { AVAILABILITY_FILTERS } from '../services/googleBooksApi'
+
+const HISTORY_SHOWN = 8
+
+function formatRunDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : 'Never'
+}
+
+function SavedSearches() {
+  const {
+    searchQuery,
+    searchOrderBy,
+    searchFilter,
+    searchBooks,
+    searchHistory,
+    savedSearches,
+    saveSearch,
+    updateSavedSearch,
+    deleteSavedSearch,
+    runSavedSearch,
+    markSavedSearchSeen,
+    clearSearchHistory
+  } = useBookCollection()
+  const notifications = useNotifications()
+  const navigate = useNavigate()
+  const [name, setName] = useState('')
+  const [runOnOpen, setRunOnOpen] = useState(true)
+  const [runningId, setRunningId] = useState(null)
+
+  const current = { query: searchQuery, orderBy: searchOrderBy, filter: searchFilter }
+  const canSaveCurrent = searchQuery && !findSavedSearch(savedSearches, searchQuery, searchOrderBy, searchFilter)
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    saveSearch({ name, ...current, runOnOpen })
+    setName('')
+  }
+
+  /*
+    Run on Demand
+    - Refresh the saved search, then open its results (reloading them
+      when they're already on screen, since the URL won't change)
+    - New volumes stay highlighted on the results until marked seen
+  */
+  const handleRun = async (saved) => {
+    setRunningId(saved.id)
+    try {
+      const { newCount } = await runSavedSearch(saved.id)
+      if (newCount > 0) {
+        notifications.info(`"${saved.name}" has ${newCount} new result${newCount === 1 ? '' : 's'}`)
+      }
+      if (isSameSearch(saved, current)) {
+        searchBooks(saved.query, { orderBy: saved.orderBy, filter: saved.filter || '' })
+      }
+      navigate(getSearchPath(saved))
+    } catch (error) {
+      notifications.error(`Couldn't run "${saved.name}": ${error.message}`)
+    } finally {
+      setRunningId(null)
+    }
+  }
+
+  return (
+    <section className="saved-searches" aria-labelledby="saved-searches-heading">
+      <h3 id="saved-searches-heading">Saved Searches</h3>
+
+      {canSaveCurrent && (
+        <form onSubmit={handleSave} className="saved-search-form">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={`Name this search (default: ${searchQuery})`}
+            className="search-input"
+            aria-label="Saved search name"
+          />
+          <label className="saved-search-toggle">
+            <input
+              type="checkbox"
+              checked={runOnOpen}
+              onChange={(e) => setRunOnOpen(e.target.checked)}
+            />
+            Check for new results when the app opens
+          </label>
+          <button type="submit" className="btn-secondary">Save search</button>
+        </form>
+      )}
+
+      {savedSearches.length === 0 ? (
+        <p className="saved-searches-empty">
+          Save a search to watch it for new releases from favourite authors or subjects.
+        </p>
+      ) : (
+        <ul className="saved-search-list">
+          {savedSearches.map(saved => (
+            <li key={saved.id} className="saved-search">
+              <div className="saved-search-info">
+                <strong>{saved.name}</strong>
+                {saved.newResultIds.length > 0 && (
+                  <span className="new-badge">{saved.newResultIds.length} new</span>
+                )}
+                <p className="saved-search-meta">
+                  <code>{saved.query}</code> · {SEARCH_SORT_LABELS[saved.orderBy]}
+                  {saved.filter && ` · ${AVAILABILITY_FILTERS[saved.filter]}`} · Last run: {formatRunDate(saved.lastRunAt)}
+                </p>
+                <label className="saved-search-toggle">
+                  <input
+                    type="checkbox"
+                    checked={saved.runOnOpen}
+                    onChange={(e) => updateSavedSearch(saved.id, { runOnOpen: e.target.checked })}
+                  />
+                  Check when the app opens
+                </label>
+              </div>
+              <div className="saved-search-actions">
+                <button
+                  onClick={() => handleRun(saved)}
+                  className="btn-primary"
+                  disabled={runningId === saved.id}
+                >
+                  {runningId === saved.id ? 'Running...' : 'Run'}
+                </button>
+                {saved.newResultIds.length > 0 && (
+                  <button onClick={() => markSavedSearchSeen(saved.id)} className="btn-secondary">
+                    Mark seen
+                  </button>
+                )}
+                <button onClick={() => deleteSavedSearch(saved.id)} className="btn-danger">
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {searchHistory.length > 0 && (
+        <div className="search-history">
+          <div className="search-history-header">
+            <h4>Recent Searches</h4>
+            <button onClick={clearSearchHistory} className="btn-link">Clear history</button>
+          </div>
+          <ul>
+            {searchHistory.slice(0, HISTORY_SHOWN).map(entry => (
+              <li key={`${entry.query}:${entry.orderBy}:${entry.filter || ''}`}>
+                <button onClick={() => navigate(getSearchPath(entry))} className="btn-link">
+                  {entry.query}
+                </button>
+                <span className="search-history-meta">
+                  {entry.orderBy !== 'relevance' && `${SEARCH_SORT_LABELS[entry.orderBy]} · `}
+                  {entry.filter && `${AVAILABILITY_FILTERS[entry.filter]} · `}
+                  {entry.totalItems != null && `${entry.totalItems} results`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default SavedSearches
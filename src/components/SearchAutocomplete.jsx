@@ -0,0 +1,167 @@
+// SearchAutocomplete Component
+// Search box with a debounced suggestion dropdown: recent searches,
+// matches from the collection and live completions from the book API.
+// Follows the ARIA combobox pattern so it works from the keyboard.
+
+import { useState, useEffect, useMemo, useId } from 'react'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { getSearchSuggestions, parseAdvancedQuery } from '../services/googleBooksApi'
+import { isAbortError } from '../services/requestScheduler'
+import { buildSuggestions, SUGGESTION_TYPES, SUGGESTION_SOURCES } from '../utils/searchSuggestions'
+
+// Wait for a pause in typing before asking the API
+const DEBOUNCE_MS = 250
+const MIN_REMOTE_LENGTH = 3
+
+function SearchAutocomplete({ value, onChange, onSelect, disabled, placeholder }) {
+  const { books, recentSearches } = useBookCollection()
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const [remote, setRemote] = useState([])
+  const listId = useId()
+
+  const text = value.trim()
+  // Only plain text is completed; queries with operators are left alone
+  const isCompletable = parseAdvancedQuery(text).text === text
+
+  /*
+    Live Completions
+    - Debounced, and the previous request is aborted on every keystroke
+    - Earlier completions stay until new ones arrive; buildSuggestions
+      drops any that no longer match what's typed
+  */
+  useEffect(() => {
+    if (!isOpen || !isCompletable || text.length < MIN_REMOTE_LENGTH) return
+
+    const controller = new AbortController()
+    const timer = setTimeout(() => {
+      getSearchSuggestions(text, { signal: controller.signal })
+        .then(setRemote)
+        .catch((error) => {
+          if (!isAbortError(error)) console.warn('Search suggestions unavailable:', error.message)
+        })
+    }, DEBOUNCE_MS)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [text, isOpen, isCompletable])
+
+  const suggestions = useMemo(
+    () => (isCompletable ? buildSuggestions({ text, recentSearches, books, remote }) : []),
+    [text, isCompletable, recentSearches, books, remote]
+  )
+
+  const isExpanded = isOpen && suggestions.length > 0
+  const optionId = (index) => `${listId}-option-${index}`
+
+  const close = () => {
+    setIsOpen(false)
+    setActiveIndex(-1)
+  }
+
+  const choose = (suggestion) => {
+    close()
+    onSelect(suggestion)
+  }
+
+  const handleChange = (e) => {
+    onChange(e.target.value)
+    setIsOpen(true)
+    setActiveIndex(-1)
+  }
+
+  /*
+    Keyboard Navigation
+    - ArrowDown/ArrowUp open the list and move through it (wrapping)
+    - Enter picks the highlighted suggestion, otherwise submits the form
+    - Escape closes the list; Tab closes it and moves on
+  */
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        e.preventDefault()
+        if (!isExpanded) {
+          setIsOpen(true)
+          return
+        }
+        const step = e.key === 'ArrowDown' ? 1 : -1
+        const start = activeIndex === -1 && step === -1 ? 0 : activeIndex
+        setActiveIndex((start + step + suggestions.length) % suggestions.length)
+        break
+      }
+
+      case 'Enter':
+        if (isExpanded && activeIndex >= 0) {
+          e.preventDefault()
+          choose(suggestions[activeIndex])
+        } else {
+          close()
+        }
+        break
+
+      case 'Escape':
+        if (isExpanded) {
+          e.preventDefault()
+          close()
+        }
+        break
+
+      case 'Tab':
+        close()
+        break
+
+      default:
+        break
+    }
+  }
+
+  return (
+    <div className="search-autocomplete">
+      <input
+        type="text"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={isExpanded}
+        aria-controls={listId}
+        aria-activedescendant={isExpanded && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+        aria-label="Search books"
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={close}
+        placeholder={placeholder}
+        className="search-input"
+        autoComplete="off"
+        disabled={disabled}
+      />
+
+      <ul id={listId} role="listbox" aria-label="Search suggestions" className="autocomplete-list" hidden={!isExpanded}>
+        {suggestions.map((suggestion, index) => (
+          <li
+            key={suggestion.id}
+            id={optionId(index)}
+            role="option"
+            aria-selected={index === activeIndex}
+            className={`autocomplete-option ${index === activeIndex ? 'active' : ''}`}
+            // Keep focus in the input so the click isn't lost to onBlur
+            onMouseDown={(e) => e.preventDefault()}
+            onMouseEnter={() => setActiveIndex(index)}
+            onClick={() => choose(suggestion)}
+          >
+            <span className={`suggestion-type suggestion-type-${suggestion.type}`}>
+              {SUGGESTION_TYPES[suggestion.type].label}
+            </span>
+            <span className="suggestion-value">{suggestion.value}</span>
+            <span className="suggestion-source">{SUGGESTION_SOURCES[suggestion.source]}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default SearchAutocomplete
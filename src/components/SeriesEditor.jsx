@@ -0,0 +1,125 @@
+// SeriesEditor Component
+// Shows the series a book belongs to and, when editable, lets the user
+// correct the detected series or set one by hand
+
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { detectSeries, getBookSeries, formatSeriesLabel, isValidSeriesNumber, MAX_SERIES_NUMBER } from '../utils/series'
+
+function SeriesEditor({ book, editable = false }) {
+  const { setBookSeries } = useBookCollection()
+  const [isEditing, setIsEditing] = useState(false)
+  const [name, setName] = useState('')
+  const [number, setNumber] = useState('')
+
+  const series = getBookSeries(book)
+  const detected = detectSeries(book)
+
+  if (!editable) {
+    return series ? (
+      <p className="book-series"><strong>Series:</strong> {formatSeriesLabel(series)}</p>
+    ) : null
+  }
+
+  const startEditing = () => {
+    setName(series?.name || '')
+    setNumber(series?.number != null ? String(series.number) : '')
+    setIsEditing(true)
+  }
+
+  /*
+    Manual Series
+    - A name saves { name, number } and overrides detection; the number
+      must be 0-999
+    - An empty name marks the book as not part of a series
+    - "Use detected" clears the manual choice
+  */
+  const parsedNumber = number.trim() === '' ? null : Number(number)
+  const isNumberValid = parsedNumber === null || isValidSeriesNumber(parsedNumber)
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    if (!isNumberValid) return
+    setBookSeries(book.id, { name: name.trim(), number: parsedNumber })
+    setIsEditing(false)
+  }
+
+  const handleNotSeries = () => {
+    setBookSeries(book.id, { name: '' })
+    setIsEditing(false)
+  }
+
+  const handleUseDetected = () => {
+    setBookSeries(book.id, null)
+    setIsEditing(false)
+  }
+
+  if (isEditing) {
+    return (
+      <form onSubmit={handleSave} className="series-editor">
+        <h4>Series</h4>
+        <div className="series-editor-fields">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Series name, e.g. The Expanse"
+            className="search-input"
+            aria-label="Series name"
+          />
+          <input
+            type="number"
+            min="0"
+            max={MAX_SERIES_NUMBER}
+            step="any"
+            value={number}
+            onChange={(e) => setNumber(e.target.value)}
+            placeholder="#"
+            className="search-input series-number-input"
+            aria-label="Number in series"
+            aria-invalid={!isNumberValid}
+          />
+        </div>
+        {!isNumberValid && (
+          <p className="error-message" role="alert">The number must be between 0 and {MAX_SERIES_NUMBER}.</p>
+        )}
+        <div className="series-editor-actions">
+          <button type="submit" className="btn-primary" disabled={!isNumberValid}>Save</button>
+          <button type="button" onClick={handleNotSeries} className="btn-secondary">
+            Not part of a series
+          </button>
+          {book.series && detected && (
+            <button type="button" onClick={handleUseDetected} className="btn-secondary">
+              Use detected ({formatSeriesLabel(detected)})
+            </button>
+          )}
+          <button type="button" onClick={() => setIsEditing(false)} className="btn-link">
+            Cancel
+          </button>
+        </div>
+      </form>
+    )
+  }
+
+  return (
+    <div className="series-editor">
+      <p className="book-series">
+        <strong>Series:</strong>{' '}
+        {series ? (
+          <>
+            <Link to="/series">{formatSeriesLabel(series)}</Link>
+            {!series.isManual && <span className="series-meta"> (detected from the title)</span>}
+          </>
+        ) : (
+          'None'
+        )}
+        <button onClick={startEditing} className="btn-link">
+          {series ? 'Edit' : 'Set series'}
+        </button>
+      </p>
+    </div>
+  )
+}
+
+export default SeriesEditor
@@ -0,0 +1,108 @@
+// SeriesView Component
+// The collection grouped into series in reading order, showing which
+// volumes are owned, read or missing
+
+import { useState, useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { groupBySeries, stripSeriesSuffix } from '../utils/series'
+import { getStatusLabel } from '../utils/shelves'
+import MissingVolumeSearch from './MissingVolumeSearch'
+
+function VolumeBook({ book }) {
+  return (
+    <span className="series-book">
+      <Link to={`/book/${book.id}`}>{stripSeriesSuffix(book.title)}</Link>
+      <span className={`status-badge status-${book.status}`}>{getStatusLabel(book.status)}</span>
+    </span>
+  )
+}
+
+function SeriesView() {
+  const { books } = useBookCollection()
+  const seriesList = useMemo(() => groupBySeries(books), [books])
+  // The missing volume being searched for: { key, number }
+  const [searching, setSearching] = useState(null)
+
+  const toggleSearch = (key, number) => {
+    const isOpen = searching?.key === key && searching.number === number
+    setSearching(isOpen ? null : { key, number })
+  }
+
+  if (seriesList.length === 0) {
+    return (
+      <div className="empty-collection">
+        <p>No series found in your collection yet.</p>
+        <p>
+          Series are detected from titles like "Leviathan Wakes (The Expanse, #1)".
+          You can also set a book's series on its details page.
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="series-view">
+      {seriesList.map(series => {
+        // Owned and missing volumes merged into one reading order
+        const rows = [
+          ...series.volumes.map(volume => ({ number: volume.number, books: volume.books })),
+          ...series.missing.map(number => ({ number, books: [] }))
+        ].sort((a, b) => a.number - b.number)
+        const headingId = `series-${series.key.replace(/\s+/g, '-')}`
+
+        return (
+          <section key={series.key} className="series-card" aria-labelledby={headingId}>
+            <header className="series-header">
+              <h3 id={headingId}>{series.name}</h3>
+              {series.authors.length > 0 && <p className="book-authors">{series.authors.join(', ')}</p>}
+              <p className="series-meta">
+                Read {series.readCount} of {series.ownedCount} owned
+                {series.missing.length > 0 && ` · ${series.missing.length} missing`}
+              </p>
+            </header>
+
+            <ol className="series-volumes">
+              {rows.map(({ number, books: volumeBooks }) => {
+                const isMissing = volumeBooks.length === 0
+                const isSearching = searching?.key === series.key && searching.number === number
+
+                return (
+                  <li key={number} className={`series-volume ${isMissing ? 'series-volume-missing' : ''}`}>
+                    <div className="series-volume-row">
+                      <span className="series-number">#{number}</span>
+                      {isMissing ? (
+                        <>
+                          <span className="series-missing-label">Missing</span>
+                          <button
+                            onClick={() => toggleSearch(series.key, number)}
+                            className="btn-secondary"
+                            aria-expanded={isSearching}
+                          >
+                            {isSearching ? 'Hide results' : `Find #${number}`}
+                          </button>
+                        </>
+                      ) : (
+                        volumeBooks.map(book => <VolumeBook key={book.id} book={book} />)
+                      )}
+                    </div>
+                    {isSearching && <MissingVolumeSearch series={series} number={number} />}
+                  </li>
+                )
+              })}
+            </ol>
+
+            {series.unnumbered.length > 0 && (
+              <div className="series-unnumbered">
+                <h4>Unnumbered</h4>
+                {series.unnumbered.map(book => <VolumeBook key={book.id} book={book} />)}
+              </div>
+            )}
+          </section>
+        )
+      })}
+    </div>
+  )
+}
+
+export default SeriesView
@@ -0,0 +1,92 @@
+// StarRating Component
+// Five-star rating with half-star precision; read-only when no onChange is given
+
+const STARS = [1, 2, 3, 4, 5]
+
+function StarRating({ value, onChange, label = 'Rating', size = 'normal' }) {
+  const rating = value || 0
+  const isEditable = typeof onChange === 'function'
+
+  // Fill level for one star: 'full', 'half' or 'empty'
+  const fillFor = (star) => {
+    if (rating >= star) return 'full'
+    if (rating >= star - 0.5) return 'half'
+    return 'empty'
+  }
+
+  /*
+    Keyboard Support
+    - Arrow keys move by half a star, Home/End jump to the ends
+    - Delete/Backspace clears the rating
+  */
+  const handleKeyDown = (e) => {
+    const steps = {
+      ArrowRight: 0.5,
+      ArrowUp: 0.5,
+      ArrowLeft: -0.5,
+      ArrowDown: -0.5
+    }
+
+    if (steps[e.key] !== undefined) {
+      e.preventDefault()
+      onChange(Math.min(5, Math.max(0.5, rating + steps[e.key])))
+    } else if (e.key === 'Home') {
+      e.preventDefault()
+      onChange(0.5)
+    } else if (e.key === 'End') {
+      e.preventDefault()
+      onChange(5)
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault()
+      onChange(null)
+    }
+  }
+
+  const stars = STARS.map(star => (
+    <span key={star} className={`star star-${fillFor(star)}`} aria-hidden="true">
+      ★
+      {isEditable && (
+        <>
+          <span
+            className="star-half-target star-half-left"
+            onClick={() => onChange(star - 0.5)}
+          />
+          <span
+            className="star-half-target star-half-right"
+            onClick={() => onChange(star)}
+          />
+        </>
+      )}
+    </span>
+  ))
+
+  if (!isEditable) {
+    return (
+      <span
+        className={`star-rating star-rating-${size}`}
+        role="img"
+        aria-label={value ? `${label}: ${value} out of 5 stars` : `${label}: not rated`}
+      >
+        {stars}
+      </span>
+    )
+  }
+
+  return (
+    <span
+      className={`star-rating star-rating-${size} star-rating-editable`}
+      role="slider"
+      tabIndex={0}
+      aria-label={label}
+      aria-valuemin={0.5}
+      aria-valuemax={5}
+      aria-valuenow={value || undefined}
+      aria-valuetext={value ? `${value} out of 5 stars` : 'Not rated'}
+      onKeyDown={handleKeyDown}
+    >
+      {stars}
+    </span>
+  )
+}
+
+export default StarRating
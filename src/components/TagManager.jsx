@@ -0,0 +1,115 @@
+// TagManager Component
+// Create, rename, recolour and delete the user's shelves/tags
+
+import { useState } from 'react'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { useSavedDraft } from '../hooks/useSavedDraft'
+import { TAG_COLORS } from '../utils/shelves'
+import { TagChip } from './BookTags'
+
+function TagRow({ tag }) {
+  const { tags, updateTag, deleteTag, getBooksByTag } = useBookCollection()
+  const [name, setName] = useSavedDraft(tag.name)
+  const [error, setError] = useState(null)
+  const bookCount = getBooksByTag(tag.id).length
+
+  /*
+    Rename
+    - A blank name puts the current name back
+    - A name another tag already has (case-insensitive) is refused
+  */
+  const handleRename = (e) => {
+    e.preventDefault()
+    const trimmed = name.trim()
+    setError(null)
+    if (!trimmed) {
+      setName(tag.name)
+      return
+    }
+    if (trimmed === tag.name) return
+
+    if (!updateTag(tag.id, { name: trimmed })) {
+      const existing = tags.find(other => other.name.toLowerCase() === trimmed.toLowerCase())
+      setError(`There is already a tag called "${existing?.name || trimmed}"`)
+      setName(tag.name)
+    }
+  }
+
+  return (
+    <li className="tag-row">
+      <TagChip tag={tag} />
+      <form onSubmit={handleRename} className="tag-row-form">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={handleRename}
+          className="search-input"
+          aria-label={`Rename ${tag.name}`}
+          aria-invalid={Boolean(error)}
+        />
+        <input
+          type="color"
+          value={tag.color}
+          onChange={(e) => updateTag(tag.id, { color: e.target.value })}
+          aria-label={`Colour for ${tag.name}`}
+        />
+      </form>
+      {error && <p className="error-message" role="alert">{error}</p>}
+      <span className="tag-row-count">{bookCount} books</span>
+      <button onClick={() => deleteTag(tag.id)} className="btn-danger">
+        Delete
+      </button>
+    </li>
+  )
+}
+
+function TagManager() {
+  const { tags, createTag } = useBookCollection()
+  const [name, setName] = useState('')
+  const [color, setColor] = useState(TAG_COLORS[0])
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    createTag(name, color)
+    setName('')
+    setColor(TAG_COLORS[(tags.length + 1) % TAG_COLORS.length])
+  }
+
+  return (
+    <div className="tag-manager">
+      <h3>Manage Shelves &amp; Tags</h3>
+
+      <form onSubmit={handleCreate} className="tag-create-form">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. work, lent out, favourites"
+          className="search-input"
+          aria-label="Tag name"
+        />
+        <input
+          type="color"
+          value={color}
+          onChange={(e) => setColor(e.target.value)}
+          aria-label="Tag colour"
+        />
+        <button type="submit" className="btn-primary" disabled={!name.trim()}>
+          Create
+        </button>
+      </form>
+
+      {tags.length === 0 ? (
+        <p className="tags-empty">You haven't created any tags yet.</p>
+      ) : (
+        <ul className="tag-list">
+          {tags.map(tag => <TagRow key={tag.id} tag={tag} />)}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default TagManager
@@ -0,0 +1,81 @@
+// UndoNotifier Component
+// Offers "Undo" after destructive collection changes (instead of a
+// confirm dialog) and handles the Ctrl+Z / Ctrl+Shift+Z shortcuts.
+// Renders nothing itself; everything goes through the notifications.
+
+import { useEffect, useRef } from 'react'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { useNotifications } from '../context/NotificationContext'
+
+const UNDO_DURATION = 8000
+
+// Leave text fields their own native undo
+function isEditingText(target) {
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+}
+
+function UndoNotifier() {
+  const { lastChange, canUndo, canRedo, undoLabel, redoLabel, undo, redo } = useBookCollection()
+  const { notify, dismiss } = useNotifications()
+  const seenId = useRef(0)
+
+  // The effect below runs per change ID; these are read at that moment
+  const latest = useRef(null)
+  latest.current = { lastChange, notify, dismiss, undo }
+  const changeId = lastChange?.id
+
+  /*
+    Undo Notification
+    - Only for destructive changes made since the last one shown
+    - Any other change (or undoing) retires it, so "Undo" never
+      reverts something other than what it names
+  */
+  useEffect(() => {
+    const current = latest.current
+    const change = current.lastChange
+    if (change?.destructive && change.id > seenId.current) {
+      current.notify({
+        level: 'info',
+        message: change.label,
+        key: 'undo',
+        duration: UNDO_DURATION,
+        actions: [{ label: 'Undo', onClick: current.undo }]
+      })
+    } else {
+      current.dismiss('undo')
+    }
+    seenId.current = change ? Math.max(seenId.current, change.id) : 0
+  }, [changeId])
+
+  // Keyboard shortcuts: Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isEditingText(e.target)) return
+      const key = e.key.toLowerCase()
+
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        if (!canUndo) return
+        undo()
+        notify({
+          level: 'info',
+          message: `Undone: ${undoLabel}`,
+          key: 'undo-status',
+          actions: [{ label: 'Redo', onClick: redo }]
+        })
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        if (!canRedo) return
+        redo()
+        notify({ level: 'info', message: `Redone: ${redoLabel}`, key: 'undo-status' })
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  })
+
+  return null
+}
+
+export default UndoNotifier
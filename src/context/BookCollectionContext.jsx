@@ -1,8 +1,16 @@
 // SOLUTION: Complete BookCollectionContext with Google Books API Integration
 // This file demonstrates adding the missing interfaces and implementing real API calls
 
-import { createContext, useContext, useReducer, useEffect } from 'react'
+import { createContext, useContext, useReducer, useEffect, useRef, useMemo } from 'react'
+import { useNotifications } from './NotificationContext'
 import { searchBooks as searchGoogleBooks } from '../services/googleBooksApi'
+import { createAbortError, isAbortError } from '../services/requestScheduler'
+import { loadCollection, saveCollection } from '../services/collectionStorage'
+import { createProgress, applyProgressUpdate, applyStatusChange, todayIsoDate } from '../utils/readingProgress'
+import { createTagId, TAG_COLORS } from '../utils/shelves'
+import { createGoalId, isSameGoal, computeGoalProgress, getBooksFinishedIn, closePastGoals, keepAchieved } from '../utils/readingGoals'
+import { withHistory, createHistory } from '../utils/undoHistory'
+import { createSavedSearch, findSavedSearch, addToSearchHistory, applySavedSearchRun, keepRunState } from '../utils/savedSearches'
 
 /* 
   SOLUTION: Missing Interfaces Implementation
@@ -15,23 +23,74 @@ import { searchBooks as searchGoogleBooks } from '../services/googleBooksApi'
 // This interface documents what data is available in the context
 const BookCollectionStateInterface = {
   books: [], // Array of all books in the collection
+  tags: [], // User-defined shelves/tags: [{ id, name, color }]
+  goals: [], // Yearly reading goals: [{ id, year, type, target, category? }]
+  preferences: {}, // Saved UI choices keyed by feature, e.g. { collectionView }
+  searchHistory: [], // Past searches, newest first: [{ query, orderBy, filter, searchedAt, totalItems }]
+  recentSearches: [], // Distinct queries from searchHistory, newest first
+  savedSearches: [], // Named searches watched for new results (see utils/savedSearches.js)
   isLoading: false, // Loading state for async operations
-  error: null, // Error message if operations fail
-  searchResults: [], // Results from book search
+  errors: {}, // Error messages scoped by operation: { storage?, search?, collection? }
+  searchResults: [], // Results from book search (all pages loaded so far)
+  searchQuery: '', // Query the current results belong to
+  searchOrderBy: 'relevance', // Sort order the current results belong to
+  searchFilter: '', // Availability filter the current results belong to ('' = any)
+  searchPage: 0, // Index of the last page loaded (0-based)
+  searchTotal: 0, // Total matches reported by the API
+  searchHasMore: false, // Whether another page can be requested
+  isLoadingMore: false, // Loading state for follow-up pages
   currentlyReading: [], // Books with 'currently-reading' status
   wantToRead: [], // Books with 'want-to-read' status
-  haveRead: [] // Books with 'read' status
+  haveRead: [], // Books with 'read' status
+  isHydrated: false, // True once the saved collection has been loaded
+  isFirstRun: false, // True when no saved collection exists yet
+  hydrateFailed: false, // True when the saved collection couldn't be loaded; saving stays off
+  canUndo: false, // Whether undo() has a change to revert
+  canRedo: false, // Whether redo() has an undone change to reapply
+  undoLabel: null, // Description of the change undo() would revert
+  redoLabel: null, // Description of the change redo() would reapply
+  lastChange: null // Most recent undoable change: { id, label, destructive }
 }
 
 // SOLUTION: BookCollectionActions Interface  
 // Defines the available actions/methods in the context
 // This interface documents what functions consumers can call
 const BookCollectionActionsInterface = {
-  addBook: () => {}, // (book: Book) => void
+  addBook: () => {}, // (book: Book) => boolean (false if already owned)
   removeBook: () => {}, // (bookId: string) => void
-  updateBookStatus: () => {}, // (bookId: string, status: BookStatus) => void
-  searchBooks: () => {}, // (query: string) => Promise<void>
-  clearSearch: () => {} // () => void
+  updateBookStatus: () => {}, // (bookId: string, status: BookStatus, date?: string) => void
+  updateReadingProgress: () => {}, // (bookId: string, pageOrPercent: number, date?: string) => void
+  setPersonalRating: () => {}, // (bookId: string, rating: number | null) => void
+  setReview: () => {}, // (bookId: string, review: string) => void
+  addNote: () => {}, // (bookId: string, text: string) => void
+  updateNote: () => {}, // (bookId: string, noteId: string, text: string) => void
+  deleteNote: () => {}, // (bookId: string, noteId: string) => void
+  createTag: () => {}, // (name: string, color: string) => Tag
+  updateTag: () => {}, // (tagId: string, changes: { name?, color? }) => boolean (false if the name is taken)
+  deleteTag: () => {}, // (tagId: string) => void
+  setBookTags: () => {}, // (bookId: string, tagIds: string[]) => void
+  setBookSeries: () => {}, // (bookId: string, series: { name, number } | { name: '' } | null) => void
+  bulkUpdateStatus: () => {}, // (bookIds: string[], status: BookStatus) => void
+  bulkRemoveBooks: () => {}, // (bookIds: string[]) => void
+  bulkUpdateTags: () => {}, // (bookIds: string[], { add?: string[], remove?: string[] }) => void
+  setGoal: () => {}, // (goal: { year, type, target, category? }) => Goal
+  deleteGoal: () => {}, // (goalId: string) => void
+  setPreference: () => {}, // (key: string, value: any) => void
+  saveSearch: () => {}, // ({ name, query, orderBy, filter, runOnOpen }) => SavedSearch
+  updateSavedSearch: () => {}, // (id: string, changes: { name?, runOnOpen? }) => void
+  deleteSavedSearch: () => {}, // (id: string) => void
+  runSavedSearch: () => {}, // (id: string) => Promise<{ newCount: number }>
+  markSavedSearchSeen: () => {}, // (id: string) => void
+  clearSearchHistory: () => {}, // () => void
+  importBooks: () => {}, // (entries: { book, tagNames }[], tagDefinitions?: { name, color }[]) => number
+  searchBooks: () => {}, // (query: string, options?: { orderBy, filter, pages }) => Promise<void>
+  loadMoreResults: () => {}, // () => Promise<number | null> (0-based page loaded, null if none)
+  clearSearch: () => {}, // () => void
+  loadSampleBooks: () => {}, // () => void
+  startEmptyCollection: () => {}, // () => void
+  undo: () => {}, // () => void
+  redo: () => {}, // () => void
+  clearError: () => {} // (scope: 'storage' | 'search' | 'collection') => void
 }
 
 // SOLUTION: BookCollectionHelpers Interface
@@ -40,11 +99,15 @@ const BookCollectionActionsInterface = {
 const BookCollectionHelpersInterface = {
   getBookById: () => {}, // (id: string) => Book | undefined
   getBooksByStatus: () => {}, // (status: BookStatus) => Book[]
+  getBooksByTag: () => {}, // (tagId: string) => Book[]
+  getTagById: () => {}, // (tagId: string) => Tag | undefined
   getTotalBooks: () => {}, // () => number
-  getReadingProgress: () => {} // () => { completed: number; total: number }
+  getReadingProgress: () => {}, // (year?: number) => { completed: number; total: number }
+  getGoalProgress: () => {}, // (goal: Goal) => { current, target, percent, expected, difference, state }
+  getNewResultIds: () => {} // (query: string, orderBy: string, filter: string) => Set<string> flagged by a saved search
 }
 
-// Sample books for demonstration
+// Sample books offered on first run
 const sampleBooks = [
   {
     id: '1',
@@ -70,6 +133,53 @@ const sampleBooks = [
   }
 ]
 
+// Number of results requested per search page
+const SEARCH_PAGE_SIZE = 20
+
+// Distinct queries offered to search autocomplete
+const MAX_RECENT_SEARCHES = 10
+
+// Append a page of results, skipping volume IDs already present
+function mergeSearchPages(existing, incoming) {
+  const seen = new Set(existing.map(book => book.id))
+  const merged = [...existing]
+  incoming.forEach(book => {
+    if (!seen.has(book.id)) {
+      seen.add(book.id)
+      merged.push(book)
+    }
+  })
+  return merged
+}
+
+// Personal fields every collection book starts with
+function createPersonalFields(date = todayIsoDate()) {
+  return {
+    dateAdded: date, // YYYY-MM-DD
+    dateStarted: null, // set when moved to 'currently-reading'
+    dateFinished: null, // set when moved to 'read'
+    progress: createProgress(),
+    personalRating: null, // 0.5-5 in half-star steps, null when unrated
+    review: '',
+    notes: [], // [{ id, text, createdAt, updatedAt }]
+    tagIds: [],
+    series: null // manual series, see utils/series.js; null = detect from the title
+  }
+}
+
+// Apply `update(book)` to the book with the given ID
+function updateBook(books, id, update) {
+  return books.map(book => (book.id === id ? update(book) : book))
+}
+
+// Remove one scope from the errors map
+function withoutError(errors, scope) {
+  if (!(scope in errors)) return errors
+  const rest = { ...errors }
+  delete rest[scope]
+  return rest
+}
+
 // Create context
 const BookCollectionContext = createContext()
 
@@ -80,29 +190,58 @@ function bookCollectionReducer(state, action) {
       return {
         ...state,
         isLoading: action.payload,
-        error: null // Clear error when starting new operation
+        errors: withoutError(state.errors, 'search') // Clear error when starting new search
       }
       
     case 'SET_ERROR':
+      // payload: { scope, message } — only the failing operation's UI shows it
       return {
         ...state,
-        error: action.payload,
-        isLoading: false
+        errors: { ...state.errors, [action.payload.scope]: action.payload.message },
+        isLoading: false,
+        isLoadingMore: false
+      }
+
+    case 'CLEAR_ERROR':
+      return {
+        ...state,
+        errors: withoutError(state.errors, action.payload)
       }
       
+    case 'HYDRATE':
+      // Replace the persisted slices with data loaded from storage
+      return {
+        ...state,
+        ...(action.payload || {}),
+        isHydrated: true,
+        isFirstRun: !action.payload
+      }
+
+    case 'HYDRATE_FAILED':
+      // Render the (empty) collection with the error instead of loading forever
+      return {
+        ...state,
+        errors: { ...state.errors, storage: action.payload },
+        isHydrated: true,
+        hydrateFailed: true
+      }
+
+    case 'COMPLETE_FIRST_RUN':
+      // Keep books added before the choice, e.g. from a /search deep link
+      return {
+        ...state,
+        books: mergeSearchPages(state.books, action.payload),
+        isFirstRun: false
+      }
+
     case 'ADD_BOOK':
-      // Check if book already exists to prevent duplicates
-      const bookExists = state.books.some(book => book.id === action.payload.id)
-      if (bookExists) {
-        return {
-          ...state,
-          error: 'Book already exists in collection'
-        }
+      // Duplicates are ignored; addBook reports them to the caller
+      if (state.books.some(book => book.id === action.payload.id)) {
+        return state
       }
       return {
         ...state,
-        books: [...state.books, { ...action.payload, status: 'want-to-read' }],
-        error: null
+        books: [...state.books, { ...action.payload, status: 'want-to-read', ...createPersonalFields() }]
       }
       
     case 'REMOVE_BOOK':
@@ -112,27 +251,298 @@ function bookCollectionReducer(state, action) {
       }
       
     case 'UPDATE_BOOK_STATUS':
+      // payload: { id, status, date } — also stamps dateStarted/dateFinished
+      return {
+        ...state,
+        books: updateBook(state.books, action.payload.id, book =>
+          applyStatusChange(book, action.payload.status, action.payload.date)
+        )
+      }
+      
+    case 'UPDATE_READING_PROGRESS':
+      // payload: { id, value, date } where value is a page (or percent)
       return {
         ...state,
         books: state.books.map(book =>
           book.id === action.payload.id
-            ? { ...book, status: action.payload.status }
+            ? { ...book, progress: applyProgressUpdate(book, action.payload.value, action.payload.date) }
             : book
         )
       }
-      
-    case 'SET_SEARCH_RESULTS':
+
+    case 'SET_PERSONAL_RATING':
+      return {
+        ...state,
+        books: updateBook(state.books, action.payload.id, book => ({
+          ...book,
+          personalRating: action.payload.rating
+        }))
+      }
+
+    case 'SET_REVIEW':
+      return {
+        ...state,
+        books: updateBook(state.books, action.payload.id, book => ({
+          ...book,
+          review: action.payload.review
+        }))
+      }
+
+    case 'ADD_NOTE':
+      return {
+        ...state,
+        books: updateBook(state.books, action.payload.id, book => ({
+          ...book,
+          notes: [...(book.notes || []), action.payload.note]
+        }))
+      }
+
+    case 'UPDATE_NOTE':
+      return {
+        ...state,
+        books: updateBook(state.books, action.payload.id, book => ({
+          ...book,
+          notes: (book.notes || []).map(note =>
+            note.id === action.payload.noteId
+              ? { ...note, text: action.payload.text, updatedAt: action.payload.updatedAt }
+              : note
+          )
+        }))
+      }
+
+    case 'DELETE_NOTE':
+      return {
+        ...state,
+        books: updateBook(state.books, action.payload.id, book => ({
+          ...book,
+          notes: (book.notes || []).filter(note => note.id !== action.payload.noteId)
+        }))
+      }
+
+    case 'CREATE_TAG':
+      return {
+        ...state,
+        tags: [...state.tags, action.payload]
+      }
+
+    case 'UPDATE_TAG':
+      return {
+        ...state,
+        tags: state.tags.map(tag =>
+          tag.id === action.payload.id ? { ...tag, ...action.payload.changes } : tag
+        )
+      }
+
+    case 'SET_GOAL':
+      // Replaces an existing goal with the same year/type/category
+      return {
+        ...state,
+        goals: state.goals.some(goal => goal.id === action.payload.id)
+          ? state.goals.map(goal => (goal.id === action.payload.id ? action.payload : goal))
+          : [...state.goals, action.payload]
+      }
+
+    case 'SET_PREFERENCE':
+      return {
+        ...state,
+        preferences: { ...state.preferences, [action.payload.key]: action.payload.value }
+      }
+
+    case 'RECORD_SEARCH':
+      return {
+        ...state,
+        searchHistory: addToSearchHistory(state.searchHistory, action.payload)
+      }
+
+    case 'CLEAR_SEARCH_HISTORY':
+      return {
+        ...state,
+        searchHistory: []
+      }
+
+    case 'SAVE_SEARCH':
+      return {
+        ...state,
+        savedSearches: [...state.savedSearches, action.payload]
+      }
+
+    case 'UPDATE_SAVED_SEARCH':
+      return {
+        ...state,
+        savedSearches: state.savedSearches.map(saved =>
+          saved.id === action.payload.id ? { ...saved, ...action.payload.changes } : saved
+        )
+      }
+
+    case 'DELETE_SAVED_SEARCH':
+      return {
+        ...state,
+        savedSearches: state.savedSearches.filter(saved => saved.id !== action.payload)
+      }
+
+    case 'RECORD_SAVED_SEARCH_RUN':
+      return {
+        ...state,
+        savedSearches: state.savedSearches.map(saved =>
+          saved.id === action.payload.id ? applySavedSearchRun(saved, action.payload) : saved
+        )
+      }
+
+    case 'MARK_SAVED_SEARCH_SEEN':
+      return {
+        ...state,
+        savedSearches: state.savedSearches.map(saved =>
+          saved.id === action.payload ? { ...saved, newResultIds: [] } : saved
+        )
+      }
+
+    case 'CLOSE_PAST_GOALS': {
+      // Not undoable: a closed year's count stays recorded
+      const goals = closePastGoals(state.goals, state.books, action.payload)
+      return goals === state.goals ? state : { ...state, goals }
+    }
+
+    case 'DELETE_GOAL':
+      return {
+        ...state,
+        goals: state.goals.filter(goal => goal.id !== action.payload)
+      }
+
+    case 'DELETE_TAG':
+      // Also remove the tag from every book carrying it
+      return {
+        ...state,
+        tags: state.tags.filter(tag => tag.id !== action.payload),
+        books: state.books.map(book =>
+          book.tagIds?.includes(action.payload)
+            ? { ...book, tagIds: book.tagIds.filter(tagId => tagId !== action.payload) }
+            : book
+        )
+      }
+
+    /*
+      Batch Actions
+      - One dispatch per batch, so a batch is a single history step
+      - payload.ids lists the affected books
+    */
+    case 'BULK_UPDATE_STATUS': {
+      const ids = new Set(action.payload.ids)
+      return {
+        ...state,
+        books: state.books.map(book =>
+          ids.has(book.id) ? applyStatusChange(book, action.payload.status, action.payload.date) : book
+        )
+      }
+    }
+
+    case 'BULK_REMOVE_BOOKS': {
+      const ids = new Set(action.payload.ids)
+      return {
+        ...state,
+        books: state.books.filter(book => !ids.has(book.id))
+      }
+    }
+
+    case 'BULK_UPDATE_TAGS': {
+      // payload: { ids, add: tagIds[], remove: tagIds[] }
+      const ids = new Set(action.payload.ids)
+      const { add = [], remove = [] } = action.payload
+      return {
+        ...state,
+        books: state.books.map(book => {
+          if (!ids.has(book.id)) return book
+          const tagIds = [...new Set([...(book.tagIds || []), ...add])]
+          return { ...book, tagIds: tagIds.filter(tagId => !remove.includes(tagId)) }
+        })
+      }
+    }
+
+    case 'SET_BOOK_SERIES':
+      return {
+        ...state,
+        books: updateBook(state.books, action.payload.id, book => ({
+          ...book,
+          series: action.payload.series
+        }))
+      }
+
+    case 'SET_BOOK_TAGS':
+      return {
+        ...state,
+        books: updateBook(state.books, action.payload.id, book => ({
+          ...book,
+          tagIds: action.payload.tagIds
+        }))
+      }
+
+    case 'IMPORT_BOOKS': {
+      // payload: { books, tags } — new tags first, then books not already owned
+      const existingIds = new Set(state.books.map(book => book.id))
+      return {
+        ...state,
+        tags: [...state.tags, ...action.payload.tags],
+        books: [
+          ...state.books,
+          ...action.payload.books.filter(book => !existingIds.has(book.id))
+        ]
+      }
+    }
+
+    case 'SET_LOADING_MORE':
+      return {
+        ...state,
+        isLoadingMore: action.payload,
+        errors: withoutError(state.errors, 'search')
+      }
+
+    case 'SET_SEARCH_RESULTS': {
+      // payload: { items, query, orderBy, filter, page, totalItems }
+      // Page 0 replaces the results; later pages are appended without duplicates
+      const { items, query, orderBy, filter, page, totalItems } = action.payload
+      // A follow-up page that doesn't continue the current results belongs
+      // to an earlier search that finished late
+      const continuesCurrent = query === state.searchQuery &&
+        orderBy === state.searchOrderBy &&
+        filter === state.searchFilter &&
+        page === state.searchPage + 1
+      if (page > 0 && !continuesCurrent) {
+        return state
+      }
+
+      const searchResults = page === 0
+        ? mergeSearchPages([], items)
+        : mergeSearchPages(state.searchResults, items)
+      const requestedSoFar = (page + 1) * SEARCH_PAGE_SIZE
+
       return {
         ...state,
-        searchResults: action.payload,
+        searchResults,
+        searchQuery: query,
+        searchOrderBy: orderBy,
+        searchFilter: filter,
+        searchPage: page,
+        searchTotal: totalItems,
+        // Google Books' totalItems is an estimate, so also stop on an empty page.
+        // A page of duplicates still counts: the next one may have new volumes
+        searchHasMore: items.length > 0 && requestedSoFar < totalItems,
         isLoading: false,
-        error: null
+        isLoadingMore: false,
+        errors: withoutError(state.errors, 'search')
       }
+    }
       
     case 'CLEAR_SEARCH':
       return {
         ...state,
-        searchResults: []
+        searchResults: [],
+        searchQuery: '',
+        searchOrderBy: 'relevance',
+        searchFilter: '',
+        searchPage: 0,
+        searchTotal: 0,
+        searchHasMore: false,
+        isLoading: false,
+        isLoadingMore: false
       }
       
     default:
@@ -140,23 +550,201 @@ function bookCollectionReducer(state, action) {
   }
 }
 
+/*
+  Undo History
+  - Collection edits and saved search changes are undoable; search,
+    search history, loading and preferences are not. Recording a saved
+    search's run isn't a step of its own.
+  - Destructive entries get an "Undo" toast instead of a confirm dialog
+  - Repeated edits to the same review, note or tag collapse into one step
+*/
+const HISTORY_SLICES = ['books', 'tags', 'goals', 'savedSearches']
+
+function describeChange(action, state) {
+  const title = (id) => {
+    const book = state.books.find(item => item.id === id)
+    return book ? `"${book.title}"` : 'book'
+  }
+  const tagName = (id) => `"${state.tags.find(tag => tag.id === id)?.name || 'tag'}"`
+  const searchName = (id) => `"${state.savedSearches.find(saved => saved.id === id)?.name || 'search'}"`
+  const count = (ids) => `${ids.length} book${ids.length === 1 ? '' : 's'}`
+  const payload = action.payload
+
+  switch (action.type) {
+    case 'ADD_BOOK':
+      return { label: `Added "${payload.title}"` }
+    case 'REMOVE_BOOK':
+      return { label: `Removed ${title(payload)}`, destructive: true }
+    case 'UPDATE_BOOK_STATUS':
+      return { label: `Changed status of ${title(payload.id)}` }
+    case 'UPDATE_READING_PROGRESS':
+      return { label: `Updated progress on ${title(payload.id)}` }
+    case 'SET_PERSONAL_RATING':
+      return { label: `Rated ${title(payload.id)}` }
+    case 'SET_REVIEW':
+      return { label: `Edited review of ${title(payload.id)}`, key: `review:${payload.id}` }
+    case 'ADD_NOTE':
+      return { label: `Added a note to ${title(payload.id)}` }
+    case 'UPDATE_NOTE':
+      return { label: `Edited a note on ${title(payload.id)}`, key: `note:${payload.noteId}` }
+    case 'DELETE_NOTE':
+      return { label: `Deleted a note from ${title(payload.id)}`, destructive: true }
+    case 'SET_BOOK_TAGS':
+      return { label: `Changed tags on ${title(payload.id)}` }
+    case 'SET_BOOK_SERIES':
+      return { label: `Changed series of ${title(payload.id)}` }
+    case 'CREATE_TAG':
+      return { label: `Created tag "${payload.name}"` }
+    case 'UPDATE_TAG':
+      return { label: `Edited tag ${tagName(payload.id)}`, key: `tag:${payload.id}` }
+    case 'DELETE_TAG':
+      return { label: `Deleted tag ${tagName(payload)}`, destructive: true }
+    case 'BULK_UPDATE_STATUS':
+      return { label: `Changed status of ${count(payload.ids)}` }
+    case 'BULK_REMOVE_BOOKS':
+      return { label: `Removed ${count(payload.ids)}`, destructive: true }
+    case 'BULK_UPDATE_TAGS':
+      return { label: `Changed tags on ${count(payload.ids)}` }
+    case 'IMPORT_BOOKS':
+      return { label: `Imported ${count(payload.books)}` }
+    case 'SET_GOAL':
+      return { label: 'Set a reading goal' }
+    case 'DELETE_GOAL':
+      return { label: 'Deleted a reading goal', destructive: true }
+    case 'SAVE_SEARCH':
+      return { label: `Saved search "${payload.name}"` }
+    case 'UPDATE_SAVED_SEARCH':
+      return { label: `Edited saved search ${searchName(payload.id)}`, key: `saved-search:${payload.id}` }
+    case 'DELETE_SAVED_SEARCH':
+      return { label: `Deleted saved search ${searchName(payload)}`, destructive: true }
+    default:
+      return null
+  }
+}
+
+const collectionReducer = withHistory(bookCollectionReducer, {
+  slices: HISTORY_SLICES,
+  describe: describeChange,
+  resetOn: ['HYDRATE', 'COMPLETE_FIRST_RUN'],
+  // Saved-search runs, "mark seen" and closing a goal's year aren't undoable steps
+  restore: (snapshot, state) => ({
+    ...snapshot,
+    savedSearches: keepRunState(snapshot.savedSearches, state.savedSearches),
+    goals: keepAchieved(snapshot.goals, state.goals)
+  })
+})
+
 // SOLUTION: Enhanced Initial State
+// The collection starts empty and is filled from storage on mount
 const initialState = {
-  books: sampleBooks.map(book => ({ ...book, status: 'want-to-read' })),
+  books: [],
+  tags: [],
+  goals: [],
+  preferences: {},
+  searchHistory: [],
+  savedSearches: [],
   isLoading: false,
-  error: null,
-  searchResults: []
+  errors: {},
+  searchResults: [],
+  searchQuery: '',
+  searchOrderBy: 'relevance',
+  searchFilter: '',
+  searchPage: 0,
+  searchTotal: 0,
+  searchHasMore: false,
+  isLoadingMore: false,
+  isHydrated: false,
+  isFirstRun: false,
+  hydrateFailed: false,
+  history: createHistory()
+}
+
+// Slices of state written to storage; everything else is session-only
+function selectPersistedState(state) {
+  return {
+    books: state.books,
+    tags: state.tags,
+    goals: state.goals,
+    preferences: state.preferences,
+    searchHistory: state.searchHistory,
+    savedSearches: state.savedSearches
+  }
 }
 
 export function BookCollectionProvider({ children }) {
-  const [state, dispatch] = useReducer(bookCollectionReducer, initialState)
+  const [state, dispatch] = useReducer(collectionReducer, initialState)
+  const notifications = useNotifications()
+  // Aborted when a newer search supersedes the one in progress
+  const searchController = useRef(null)
+
+  // Hydrate the collection from storage once on startup
+  useEffect(() => {
+    let cancelled = false
+
+    loadCollection()
+      .then((data) => {
+        if (!cancelled) {
+          dispatch({ type: 'HYDRATE', payload: data })
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to load saved collection:', error)
+        if (!cancelled) {
+          // Leave storage untouched so the saved data isn't overwritten
+          dispatch({
+            type: 'HYDRATE_FAILED',
+            payload: `Could not load your saved collection: ${error.message}. Changes won't be saved until it loads.`
+          })
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  /*
+    Persistence
+    - Every change to the persisted slices is saved once hydrated
+    - During first run only once there is something to keep (a book added
+      before the choice), so an untouched first run is offered again
+    - Never after a failed load, so the saved data isn't overwritten
+  */
+  const { books, tags, goals, preferences, searchHistory, savedSearches } = state
+  const persistedState = useMemo(
+    () => selectPersistedState({ books, tags, goals, preferences, searchHistory, savedSearches }),
+    [books, tags, goals, preferences, searchHistory, savedSearches]
+  )
+  const canPersist = state.isHydrated && !state.hydrateFailed && (!state.isFirstRun || state.books.length > 0)
+  // Read through a ref so a new notifications object doesn't trigger a save
+  const notificationsRef = useRef(notifications)
+  notificationsRef.current = notifications
+  useEffect(() => {
+    if (!canPersist) return
+    saveCollection(persistedState).catch((error) => {
+      console.error('Failed to save collection:', error)
+      // Keyed so repeated failures don't stack up
+      notificationsRef.current.error(`Your changes could not be saved: ${error.message}`, { key: 'save-error' })
+    })
+  }, [canPersist, persistedState])
+
+  // Record the achieved count of goals whose year has ended, on load and
+  // whenever goals change (a goal set for a past year closes straight away)
+  useEffect(() => {
+    if (!state.isHydrated) return
+    dispatch({ type: 'CLOSE_PAST_GOALS', payload: todayIsoDate() })
+  }, [state.isHydrated, goals])
 
   // SOLUTION: Enhanced Actions with Error Handling
+  // Returns false when the book is already in the collection
   const addBook = (book) => {
+    if (state.books.some(item => item.id === book.id)) return false
     try {
       dispatch({ type: 'ADD_BOOK', payload: book })
+      return true
     } catch (error) {
-      dispatch({ type: 'SET_ERROR', payload: 'Failed to add book' })
+      dispatch({ type: 'SET_ERROR', payload: { scope: 'collection', message: 'Failed to add book' } })
+      return false
     }
   }
 
@@ -164,52 +752,362 @@ export function BookCollectionProvider({ children }) {
     try {
       dispatch({ type: 'REMOVE_BOOK', payload: bookId })
     } catch (error) {
-      dispatch({ type: 'SET_ERROR', payload: 'Failed to remove book' })
+      dispatch({ type: 'SET_ERROR', payload: { scope: 'collection', message: 'Failed to remove book' } })
     }
   }
 
-  const updateBookStatus = (bookId, status) => {
+  const updateBookStatus = (bookId, status, date) => {
     try {
-      dispatch({ type: 'UPDATE_BOOK_STATUS', payload: { id: bookId, status } })
+      dispatch({ type: 'UPDATE_BOOK_STATUS', payload: { id: bookId, status, date } })
     } catch (error) {
-      dispatch({ type: 'SET_ERROR', payload: 'Failed to update book status' })
+      dispatch({ type: 'SET_ERROR', payload: { scope: 'collection', message: 'Failed to update book status' } })
+    }
+  }
+
+  const updateReadingProgress = (bookId, value, date) => {
+    try {
+      dispatch({ type: 'UPDATE_READING_PROGRESS', payload: { id: bookId, value, date } })
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: { scope: 'collection', message: 'Failed to update reading progress' } })
+    }
+  }
+
+  // Clamp to 0.5-5 in half-star steps; null clears the rating
+  const setPersonalRating = (bookId, rating) => {
+    const normalized = rating === null ? null : Math.min(5, Math.max(0.5, Math.round(rating * 2) / 2))
+    dispatch({ type: 'SET_PERSONAL_RATING', payload: { id: bookId, rating: normalized } })
+  }
+
+  const setReview = (bookId, review) => {
+    dispatch({ type: 'SET_REVIEW', payload: { id: bookId, review } })
+  }
+
+  // Notes are timestamped here so the reducer stays pure
+  const addNote = (bookId, text) => {
+    const now = new Date().toISOString()
+    const note = {
+      id: `note-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      text,
+      createdAt: now,
+      updatedAt: now
+    }
+    dispatch({ type: 'ADD_NOTE', payload: { id: bookId, note } })
+  }
+
+  const updateNote = (bookId, noteId, text) => {
+    dispatch({
+      type: 'UPDATE_NOTE',
+      payload: { id: bookId, noteId, text, updatedAt: new Date().toISOString() }
+    })
+  }
+
+  const deleteNote = (bookId, noteId) => {
+    dispatch({ type: 'DELETE_NOTE', payload: { id: bookId, noteId } })
+  }
+
+  // Tags are shared shelves; names are unique (case-insensitive)
+  const createTag = (name, color) => {
+    const trimmed = name.trim()
+    const existing = state.tags.find(tag => tag.name.toLowerCase() === trimmed.toLowerCase())
+    if (existing) return existing
+
+    const tag = { id: createTagId(), name: trimmed, color }
+    dispatch({ type: 'CREATE_TAG', payload: tag })
+    return tag
+  }
+
+  // Renames keep names unique (case-insensitive), like createTag
+  const updateTag = (tagId, changes) => {
+    if (changes.name !== undefined) {
+      const name = changes.name.trim()
+      const taken = state.tags.some(tag => tag.id !== tagId && tag.name.toLowerCase() === name.toLowerCase())
+      if (!name || taken) return false
+      changes = { ...changes, name }
+    }
+    dispatch({ type: 'UPDATE_TAG', payload: { id: tagId, changes } })
+    return true
+  }
+
+  const deleteTag = (tagId) => {
+    dispatch({ type: 'DELETE_TAG', payload: tagId })
+  }
+
+  // One goal per year/type/category: setting it again updates the target
+  const setGoal = ({ year, type, target, category }) => {
+    const draft = {
+      year: Number(year),
+      type,
+      target: Math.max(1, Math.round(Number(target) || 0)),
+      ...(type === 'category' ? { category: category.trim() } : {})
+    }
+    const existing = state.goals.find(goal => isSameGoal(goal, draft))
+    const goal = {
+      ...draft,
+      id: existing?.id || createGoalId(),
+      // A closed year keeps its recorded count when the target changes
+      ...(existing?.achieved != null ? { achieved: existing.achieved } : {})
+    }
+    dispatch({ type: 'SET_GOAL', payload: goal })
+    return goal
+  }
+
+  const deleteGoal = (goalId) => {
+    dispatch({ type: 'DELETE_GOAL', payload: goalId })
+  }
+
+  const setPreference = (key, value) => {
+    dispatch({ type: 'SET_PREFERENCE', payload: { key, value } })
+  }
+
+  const saveSearch = ({ name, query, orderBy, filter, runOnOpen }) => {
+    let saved = createSavedSearch({ name, query, orderBy, filter, runOnOpen })
+    // Results already on screen become the baseline later runs compare against
+    const isCurrent = query === state.searchQuery &&
+      saved.orderBy === state.searchOrderBy &&
+      saved.filter === state.searchFilter
+    if (isCurrent && state.searchResults.length > 0) {
+      saved = applySavedSearchRun(saved, {
+        resultIds: state.searchResults.slice(0, SEARCH_PAGE_SIZE).map(book => book.id),
+        totalItems: state.searchTotal,
+        ranAt: new Date().toISOString()
+      })
+    }
+    dispatch({ type: 'SAVE_SEARCH', payload: saved })
+    return saved
+  }
+
+  const updateSavedSearch = (id, changes) => {
+    dispatch({ type: 'UPDATE_SAVED_SEARCH', payload: { id, changes } })
+  }
+
+  const deleteSavedSearch = (id) => {
+    dispatch({ type: 'DELETE_SAVED_SEARCH', payload: id })
+  }
+
+  const markSavedSearchSeen = (id) => {
+    dispatch({ type: 'MARK_SAVED_SEARCH_SEEN', payload: id })
+  }
+
+  const clearSearchHistory = () => {
+    dispatch({ type: 'CLEAR_SEARCH_HISTORY' })
+  }
+
+  const setBookTags = (bookId, tagIds) => {
+    dispatch({ type: 'SET_BOOK_TAGS', payload: { id: bookId, tagIds } })
+  }
+
+  const setBookSeries = (bookId, series) => {
+    dispatch({ type: 'SET_BOOK_SERIES', payload: { id: bookId, series } })
+  }
+
+  const bulkUpdateStatus = (bookIds, status, date) => {
+    dispatch({ type: 'BULK_UPDATE_STATUS', payload: { ids: bookIds, status, date } })
+  }
+
+  const bulkRemoveBooks = (bookIds) => {
+    dispatch({ type: 'BULK_REMOVE_BOOKS', payload: { ids: bookIds } })
+  }
+
+  const bulkUpdateTags = (bookIds, { add = [], remove = [] }) => {
+    dispatch({ type: 'BULK_UPDATE_TAGS', payload: { ids: bookIds, add, remove } })
+  }
+
+  /*
+    Bulk Import
+    - Resolve tag names to existing tags, creating the missing ones
+    - Dispatch everything as a single action
+    - Returns how many books were new to the collection
+  */
+  // Tags missing from the collection are created with the colour from
+  // `tagDefinitions` (a backup's tags); existing tags keep their own
+  const importBooks = (entries, tagDefinitions = []) => {
+    const tagsByName = new Map(state.tags.map(tag => [tag.name.toLowerCase(), tag]))
+    const colorsByName = new Map(tagDefinitions.filter(tag => tag?.name).map(tag => [tag.name.trim().toLowerCase(), tag.color]))
+    const newTags = []
+
+    const resolveTagId = (name) => {
+      const key = name.trim().toLowerCase()
+      if (!tagsByName.has(key)) {
+        const tag = {
+          id: createTagId(),
+          name: name.trim(),
+          color: colorsByName.get(key) || TAG_COLORS[(state.tags.length + newTags.length) % TAG_COLORS.length]
+        }
+        tagsByName.set(key, tag)
+        newTags.push(tag)
+      }
+      return tagsByName.get(key).id
     }
+
+    const existingIds = new Set(state.books.map(book => book.id))
+    const books = []
+    entries.forEach(({ book, tagNames = [] }) => {
+      if (existingIds.has(book.id)) return
+      existingIds.add(book.id)
+      // Defaults first so backups keep their own progress, notes etc.
+      books.push({
+        ...createPersonalFields(),
+        ...book,
+        dateAdded: book.dateAdded || todayIsoDate(),
+        tagIds: [...new Set(tagNames.map(resolveTagId))]
+      })
+    })
+
+    dispatch({ type: 'IMPORT_BOOKS', payload: { books, tags: newTags } })
+    return books.length
+  }
+
+  // Fetch one page of search results and hand it to the reducer
+  const fetchSearchPage = async (query, page, { orderBy, filter }, signal) => {
+    console.log('Searching Google Books for:', query, 'page', page)
+    
+    // Call real Google Books API (repeat requests are served by the ApiCache)
+    const result = await searchGoogleBooks(query, {
+      startIndex: page * SEARCH_PAGE_SIZE,
+      maxResults: SEARCH_PAGE_SIZE,
+      orderBy,
+      langRestrict: 'en',
+      filter: filter || undefined, // left out of the cache key when unset
+      signal
+    })
+    // A cached page can resolve after a newer search has started
+    if (signal?.aborted) throw createAbortError()
+    
+    console.log('Google Books API results:', result)
+    
+    // Transform API results to include default status
+    const booksWithStatus = result.items.map(book => ({
+      ...book,
+      status: 'want-to-read' // Default status for search results
+    }))
+    
+    dispatch({
+      type: 'SET_SEARCH_RESULTS',
+      payload: {
+        items: booksWithStatus,
+        query,
+        orderBy,
+        filter,
+        page,
+        totalItems: result.totalItems
+      }
+    })
+
+    return result
   }
 
   // SOLUTION: Real Google Books API Search with Error Handling
-  const searchBooks = async (query) => {
+  // `pages` > 1 reloads several pages at once, e.g. when restoring a deep link
+  const searchBooks = async (query, { orderBy = 'relevance', filter = '', pages = 1 } = {}) => {
+    // Cancel the previous search so its results can't overwrite these
+    searchController.current?.abort()
+    const controller = new AbortController()
+    searchController.current = controller
+    const { signal } = controller
+
     dispatch({ type: 'SET_LOADING', payload: true })
     
     try {
-      console.log('Searching Google Books for:', query)
-      
-      // Call real Google Books API
-      const result = await searchGoogleBooks(query, {
-        maxResults: 20,
-        orderBy: 'relevance',
-        langRestrict: 'en'
+      let loaded = 0
+      let result = await fetchSearchPage(query, 0, { orderBy, filter }, signal)
+      loaded += result.items.length
+      dispatch({
+        type: 'RECORD_SEARCH',
+        payload: { query, orderBy, filter, searchedAt: new Date().toISOString(), totalItems: result.totalItems }
       })
-      
-      console.log('Google Books API results:', result)
-      
-      // Transform API results to include default status
-      const booksWithStatus = result.items.map(book => ({
-        ...book,
-        status: 'want-to-read' // Default status for search results
-      }))
-      
-      dispatch({ type: 'SET_SEARCH_RESULTS', payload: booksWithStatus })
-      
+
+      for (let page = 1; page < pages && loaded < result.totalItems && result.items.length > 0; page++) {
+        result = await fetchSearchPage(query, page, { orderBy, filter }, signal)
+        loaded += result.items.length
+      }
     } catch (error) {
+      if (isAbortError(error)) return
       console.error('Search error:', error)
-      dispatch({ type: 'SET_ERROR', payload: error.message })
+      dispatch({ type: 'SET_ERROR', payload: { scope: 'search', message: error.message } })
+    }
+  }
+
+  /*
+    Saved Search Runs
+    - Fetch the first page fresh from the API (bypassing cached results)
+      with the same options as the search page, so opening the results
+      afterwards is served from the cache
+    - The reducer works out which volumes are new since the last run
+    - Errors are thrown to the caller rather than shown on the search page
+  */
+  const runSavedSearch = async (id) => {
+    const saved = state.savedSearches.find(item => item.id === id)
+    if (!saved) return { newCount: 0 }
+
+    const result = await searchGoogleBooks(saved.query, {
+      startIndex: 0,
+      maxResults: SEARCH_PAGE_SIZE,
+      orderBy: saved.orderBy,
+      langRestrict: 'en',
+      filter: saved.filter || undefined,
+      fresh: true
+    })
+    const resultIds = result.items.map(book => book.id)
+    const run = { id, resultIds, totalItems: result.totalItems, ranAt: new Date().toISOString() }
+
+    dispatch({ type: 'RECORD_SAVED_SEARCH_RUN', payload: run })
+    return { newCount: applySavedSearchRun(saved, run).newResultIds.length }
+  }
+
+  // Load the next page for the current query, appending to the results.
+  // Resolves with the page index loaded, or null when nothing was loaded
+  const loadMoreResults = async () => {
+    if (!state.searchHasMore || state.isLoadingMore || state.isLoading) return null
+
+    const page = state.searchPage + 1
+    dispatch({ type: 'SET_LOADING_MORE', payload: true })
+
+    try {
+      await fetchSearchPage(
+        state.searchQuery,
+        page,
+        { orderBy: state.searchOrderBy, filter: state.searchFilter },
+        searchController.current?.signal
+      )
+      return page
+    } catch (error) {
+      if (isAbortError(error)) return null
+      console.error('Load more error:', error)
+      dispatch({ type: 'SET_ERROR', payload: { scope: 'search', message: error.message } })
+      return null
     }
   }
 
   const clearSearch = () => {
+    searchController.current?.abort()
+    searchController.current = null
     dispatch({ type: 'CLEAR_SEARCH' })
   }
 
+  // First-run choices: seed with the sample books or start from nothing
+  const loadSampleBooks = () => {
+    dispatch({
+      type: 'COMPLETE_FIRST_RUN',
+      payload: sampleBooks.map(book => ({ ...book, status: 'want-to-read', ...createPersonalFields() }))
+    })
+  }
+
+  const startEmptyCollection = () => {
+    dispatch({ type: 'COMPLETE_FIRST_RUN', payload: [] })
+  }
+
+  const clearError = (scope) => {
+    dispatch({ type: 'CLEAR_ERROR', payload: scope })
+  }
+
+  const undo = () => {
+    dispatch({ type: 'UNDO' })
+  }
+
+  const redo = () => {
+    dispatch({ type: 'REDO' })
+  }
+
   /* 
     SOLUTION: Missing Helper Functions Implementation
     These functions were referenced in the interfaces but not implemented
@@ -225,25 +1123,76 @@ export function BookCollectionProvider({ children }) {
     return state.books.filter(book => book.status === status)
   }
 
+  // Get all books carrying a tag
+  const getBooksByTag = (tagId) => {
+    return state.books.filter(book => book.tagIds?.includes(tagId))
+  }
+
+  const getTagById = (tagId) => {
+    return state.tags.find(tag => tag.id === tagId)
+  }
+
   // Get total number of books in collection
   const getTotalBooks = () => {
     return state.books.length
   }
 
-  // Calculate reading progress statistics
-  const getReadingProgress = () => {
-    const completed = getBooksByStatus('read').length
+  // Calculate reading progress statistics, optionally for one year
+  const getReadingProgress = (year) => {
+    const completed = year
+      ? getBooksFinishedIn(state.books, year).length
+      : getBooksByStatus('read').length
     const total = getTotalBooks()
     return { completed, total }
   }
 
+  const getGoalProgress = (goal) => {
+    return computeGoalProgress(goal, state.books)
+  }
+
+  // Volumes a saved search for this query flagged as new
+  const getNewResultIds = (query, orderBy, filter) => {
+    return new Set(findSavedSearch(state.savedSearches, query, orderBy, filter)?.newResultIds || [])
+  }
+
+  // Top of each history stack (snapshots stay private to the reducer)
+  const { past, future } = state.history
+  const undoEntry = past[past.length - 1]
+  const lastChange = undoEntry
+    ? { id: undoEntry.id, label: undoEntry.label, destructive: undoEntry.destructive }
+    : null
+  const nextRedo = future[future.length - 1] || null
+
   // SOLUTION: Complete Context Value with All Interfaces
   const value = {
     // State (BookCollectionState interface)
     books: state.books,
+    tags: state.tags,
+    goals: state.goals,
+    preferences: state.preferences,
+    searchHistory: state.searchHistory,
+    recentSearches: [...new Set(state.searchHistory.map(entry => entry.query))].slice(0, MAX_RECENT_SEARCHES),
+    savedSearches: state.savedSearches,
     isLoading: state.isLoading,
-    error: state.error,
+    errors: state.errors,
     searchResults: state.searchResults,
+    searchQuery: state.searchQuery,
+    searchOrderBy: state.searchOrderBy,
+    searchFilter: state.searchFilter,
+    searchPage: state.searchPage,
+    searchTotal: state.searchTotal,
+    searchHasMore: state.searchHasMore,
+    isLoadingMore: state.isLoadingMore,
+    isHydrated: state.isHydrated,
+    isFirstRun: state.isFirstRun,
+    hydrateFailed: state.hydrateFailed,
+
+    // Undo history: only the top of each stack is exposed
+    canUndo: lastChange !== null,
+    canRedo: nextRedo !== null,
+    undoLabel: lastChange?.label || null,
+    redoLabel: nextRedo?.label || null,
+    lastChange,
     
     // Computed state for convenience
     currentlyReading: getBooksByStatus('currently-reading'),
@@ -254,14 +1203,48 @@ export function BookCollectionProvider({ children }) {
     addBook,
     removeBook,
     updateBookStatus,
+    updateReadingProgress,
+    setPersonalRating,
+    setReview,
+    addNote,
+    updateNote,
+    deleteNote,
+    createTag,
+    updateTag,
+    deleteTag,
+    setBookTags,
+    setBookSeries,
+    bulkUpdateStatus,
+    bulkRemoveBooks,
+    bulkUpdateTags,
+    setGoal,
+    deleteGoal,
+    setPreference,
+    saveSearch,
+    updateSavedSearch,
+    deleteSavedSearch,
+    runSavedSearch,
+    markSavedSearchSeen,
+    clearSearchHistory,
+    importBooks,
     searchBooks,
+    loadMoreResults,
     clearSearch,
+    loadSampleBooks,
+    startEmptyCollection,
+    undo,
+    redo,
+    clearError,
     
     // Helpers (BookCollectionHelpers interface)
     getBookById,
     getBooksByStatus,
+    getBooksByTag,
+    getTagById,
     getTotalBooks,
-    getReadingProgress
+    getReadingProgress,
+    getGoalProgress,
+    getNewResultIds
   }
 
   return (
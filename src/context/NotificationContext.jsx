@@ -0,0 +1,114 @@
+// Notification Context
+// App-wide, non-blocking notifications (toasts) with success/info/warning/
+// error levels, auto-dismiss and optional action buttons
+
+import { createContext, useContext, useReducer, useRef } from 'react'
+
+// NotificationState Interface
+// Each notification: { id, key, level, message, actions, duration }
+//   actions: [{ label, onClick }] — clicking one also dismisses the toast
+//   duration: ms before auto-dismiss, 0 to stay until dismissed
+const NotificationStateInterface = {
+  notifications: [] // Visible notifications, oldest first
+}
+
+// NotificationActions Interface
+const NotificationActionsInterface = {
+  notify: () => {}, // ({ level, message, actions?, duration?, key? }) => id
+  success: () => {}, // (message, options?) => id
+  info: () => {}, // (message, options?) => id
+  warning: () => {}, // (message, options?) => id
+  error: () => {}, // (message, options?) => id
+  dismiss: () => {} // (idOrKey) => void
+}
+
+/**
+ * Default Durations
+ * Errors stay until dismissed so they can't vanish unread
+ */
+export const NOTIFICATION_DURATIONS = {
+  success: 5000,
+  info: 5000,
+  warning: 8000,
+  error: 0
+}
+
+// Oldest notifications drop off beyond this
+const MAX_NOTIFICATIONS = 4
+
+const NotificationContext = createContext()
+
+function notificationReducer(state, action) {
+  switch (action.type) {
+    case 'SHOW': {
+      // A notification with the same key replaces the previous one
+      const others = action.payload.key
+        ? state.notifications.filter(item => item.key !== action.payload.key)
+        : state.notifications
+      return {
+        ...state,
+        notifications: [...others, action.payload].slice(-MAX_NOTIFICATIONS)
+      }
+    }
+
+    case 'DISMISS':
+      return {
+        ...state,
+        notifications: state.notifications.filter(item =>
+          item.id !== action.payload && item.key !== action.payload
+        )
+      }
+
+    default:
+      return state
+  }
+}
+
+export function NotificationProvider({ children }) {
+  const [state, dispatch] = useReducer(notificationReducer, { notifications: [] })
+  const nextId = useRef(1)
+
+  const notify = ({ level = 'info', message, actions = [], duration, key = null }) => {
+    const id = nextId.current++
+    dispatch({
+      type: 'SHOW',
+      payload: {
+        id,
+        key,
+        level,
+        message,
+        actions,
+        duration: duration ?? NOTIFICATION_DURATIONS[level]
+      }
+    })
+    return id
+  }
+
+  const dismiss = (idOrKey) => {
+    dispatch({ type: 'DISMISS', payload: idOrKey })
+  }
+
+  const value = {
+    notifications: state.notifications,
+    notify,
+    success: (message, options) => notify({ ...options, level: 'success', message }),
+    info: (message, options) => notify({ ...options, level: 'info', message }),
+    warning: (message, options) => notify({ ...options, level: 'warning', message }),
+    error: (message, options) => notify({ ...options, level: 'error', message }),
+    dismiss
+  }
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+    </NotificationContext.Provider>
+  )
+}
+
+export function useNotifications() {
+  const context = useContext(NotificationContext)
+  if (context === undefined) {
+    throw new Error('useNotifications must be used within a NotificationProvider')
+  }
+  return context
+}
@@ -0,0 +1,20 @@
+// useSavedDraft Hook
+// Editable copy of a saved value for form inputs
+
+import { useState, useEffect } from 'react'
+
+/**
+ * Saved Draft
+ * Works like useState(saved), but the draft follows the saved value when
+ * it changes underneath (e.g. undo). Editors are keyed by id, so moving
+ * to another record remounts them instead.
+ */
+export function useSavedDraft(saved) {
+  const [draft, setDraft] = useState(saved)
+
+  useEffect(() => {
+    setDraft(saved)
+  }, [saved])
+
+  return [draft, setDraft]
+}
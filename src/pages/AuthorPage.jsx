@@ -0,0 +1,165 @@
+// AuthorPage Component
+// Lists an author's works from the book API page by page, marking the
+// ones already in the collection with their reading status
+
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate, useSearchParams, useLocation } from 'react-router-dom'
+import { useBookCollection } from '../context/BookCollectionContext'
+import { useNotifications } from '../context/NotificationContext'
+import { searchBooks, buildFieldQuery } from '../services/googleBooksApi'
+import { isAbortError } from '../services/requestScheduler'
+import { formatAuthorName, getAuthorPath, isByAuthor, findOwnedCopy } from '../utils/authors'
+import { getStatusLabel } from '../utils/shelves'
+
+const PAGE_SIZE = 20
+
+function AuthorPage() {
+  /*
+    Canonical Author URLs
+    - :name is normalised, so "Tolkien, J.R.R." and "JRR Tolkien" both
+      redirect to /author/J.%20R.%20R.%20Tolkien
+    - ?page= is the 1-based results page
+  */
+  const { name: rawName } = useParams()
+  const name = formatAuthorName(rawName)
+  const [searchParams, setSearchParams] = useSearchParams()
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1)
+  const location = useLocation()
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    if (rawName !== name) {
+      navigate(`${getAuthorPath(name)}${location.search}`, { replace: true })
+    }
+  }, [rawName, name, navigate, location.search])
+
+  const { books, addBook } = useBookCollection()
+  const notifications = useNotifications()
+  const [results, setResults] = useState({ items: [], totalItems: 0, pageSize: 0 })
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  /*
+    Author Works
+    - inauthor: search for the canonical name, one page at a time
+    - inauthor matching is loose, so results by other authors are dropped
+    - Leaving the page (or changing page) cancels the request
+  */
+  useEffect(() => {
+    const controller = new AbortController()
+    setIsLoading(true)
+    setError(null)
+
+    searchBooks(buildFieldQuery('author', name), {
+      startIndex: (page - 1) * PAGE_SIZE,
+      maxResults: PAGE_SIZE,
+      langRestrict: 'en',
+      signal: controller.signal
+    })
+      .then((result) => {
+        setResults({
+          items: result.items.filter(book => isByAuthor(book, name)),
+          totalItems: result.totalItems,
+          pageSize: result.items.length
+        })
+        setIsLoading(false)
+      })
+      .catch((fetchError) => {
+        if (isAbortError(fetchError)) return
+        setError(fetchError.message)
+        setIsLoading(false)
+      })
+
+    return () => controller.abort()
+  }, [name, page])
+
+  // The author's books already in the collection
+  const ownedBooks = books.filter(book => isByAuthor(book, name))
+  const readCount = ownedBooks.filter(book => book.status === 'read').length
+  const hasNextPage = results.pageSize > 0 && page * PAGE_SIZE < results.totalItems
+
+  const goToPage = (nextPage) => {
+    setSearchParams(nextPage > 1 ? { page: String(nextPage) } : {})
+    window.scrollTo(0, 0)
+  }
+
+  const handleAddBook = (book) => {
+    if (addBook(book)) {
+      notifications.success(`Added "${book.title}" to your collection`)
+    }
+  }
+
+  return (
+    <div className="author-page">
+      <h1>{name}</h1>
+      <p className="author-summary">
+        {ownedBooks.length === 0
+          ? 'None of their books are in your collection yet.'
+          : `You've read ${readCount} of the ${ownedBooks.length} book${ownedBooks.length === 1 ? '' : 's'} by ${name} in your collection.`}
+      </p>
+
+      {isLoading && <p className="loading-message">Loading books by {name}...</p>}
+
+      {error && (
+        <div className="error-message" role="alert">
+          <p>Couldn't load books by {name}: {error}</p>
+        </div>
+      )}
+
+      {!isLoading && !error && (
+        <>
+          {results.items.length === 0 ? (
+            <p className="recommendations-empty">No books by {name} on this page.</p>
+          ) : (
+            <div className="books-grid">
+              {results.items.map((book) => {
+                const owned = findOwnedCopy(book, books)
+                return (
+                  <div key={book.id} className={`book-card ${owned ? 'book-card-owned' : ''}`}>
+                    <img
+                      src={book.imageLinks?.thumbnail || 'https://via.placeholder.com/128x192/cccccc/ffffff?text=No+Image'}
+                      alt={book.title}
+                      className="book-cover"
+                    />
+                    <div className="book-info">
+                      <h4>{book.title}</h4>
+                      <p className="book-year">{book.publishedDate}</p>
+                      {owned && (
+                        <span className={`status-badge status-${owned.status}`}>
+                          {getStatusLabel(owned.status)}
+                        </span>
+                      )}
+                      <div className="book-actions">
+                        <button onClick={() => navigate(`/book/${owned?.id || book.id}`)} className="btn-secondary">
+                          View Details
+                        </button>
+                        {!owned && (
+                          <button onClick={() => handleAddBook(book)} className="btn-primary">
+                            Add to Collection
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+
+          {/* Pagination */}
+          <nav className="pagination" aria-label="Author results pages">
+            <button onClick={() => goToPage(page - 1)} className="btn-secondary" disabled={page === 1}>
+              ← Previous
+            </button>
+            <span>Page {page}</span>
+            <button onClick={() => goToPage(page + 1)} className="btn-secondary" disabled={!hasNextPage}>
+              Next →
+            </button>
+          </nav>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default AuthorPage
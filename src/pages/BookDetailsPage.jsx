@@ -1,8 +1,10 @@
 // SOLUTION: BookDetailsPage Component
 // This component demonstrates useParams for accessing route parameters
 
+import { useState, useEffect } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { useBookCollection } from '../context/BookCollectionContext'
+import { getBookById as fetchBookById } from '../services/googleBooksApi'
 import BookDetails from '../components/BookDetails'
 
 function BookDetailsPage() {
@@ -27,10 +29,61 @@ function BookDetailsPage() {
     - Demonstrates how routing and state management work together
     - getBookById helper function should be implemented in context
   */
-  const { getBookById } = useBookCollection()
+  const { getBookById, isHydrated } = useBookCollection()
 
   // Find the book using the ID from the URL parameter
-  const book = getBookById(id)
+  const collectionBook = getBookById(id)
+
+  /*
+    Remote Lookup for Books Outside the Collection
+    - Search results link here before they are added to the collection
+    - Fall back to the Google Books service when the context has no match
+  */
+  const [remoteBook, setRemoteBook] = useState(null)
+  const [isFetching, setIsFetching] = useState(false)
+  const [fetchError, setFetchError] = useState(null)
+
+  const needsRemoteLookup = isHydrated && !collectionBook
+
+  useEffect(() => {
+    if (!needsRemoteLookup) return
+
+    // Aborted when leaving the page or moving to another book
+    const controller = new AbortController()
+    const cancelled = () => controller.signal.aborted
+    setRemoteBook(null)
+    setFetchError(null)
+    setIsFetching(true)
+
+    fetchBookById(id, { signal: controller.signal })
+      .then((result) => {
+        if (!cancelled()) setRemoteBook(result)
+      })
+      .catch((error) => {
+        if (!cancelled()) setFetchError(error.message)
+      })
+      .finally(() => {
+        if (!cancelled()) setIsFetching(false)
+      })
+
+    return () => {
+      controller.abort()
+    }
+  }, [id, needsRemoteLookup])
+
+  const book = collectionBook || (remoteBook?.id === id ? remoteBook : null)
+
+  // Wait for the saved collection (and any remote lookup) before deciding.
+  // The lookup only starts after this render, so one with no outcome yet
+  // counts as loading too
+  const isLookingUp = needsRemoteLookup && (isFetching || (!remoteBook && !fetchError))
+  if (!isHydrated || isLookingUp) {
+    return (
+      <div className="loading-message">
+        <p>Loading book...</p>
+      </div>
+    )
+  }
 
   /* 
     SOLUTION: Error Handling for Invalid Routes
@@ -42,7 +95,11 @@ function BookDetailsPage() {
     return (
       <div className="book-not-found">
         <h2>Book Not Found</h2>
-        <p>The book you're looking for doesn't exist in your collection.</p>
+        <p>
+          {fetchError
+            ? `We couldn't load this book: ${fetchError}`
+            : "The book you're looking for doesn't exist in your collection."}
+        </p>
         <button 
           onClick={() => navigate('/collection')} 
           className="btn-primary"
@@ -71,7 +128,11 @@ function BookDetailsPage() {
         - onBack prop now uses navigate instead of setState
         - Same component works with different navigation approaches
       */}
-      <BookDetails book={book} onBack={handleBack} />
+      <BookDetails
+        book={book}
+        onBack={handleBack}
+        isInCollection={Boolean(collectionBook)}
+      />
     </div>
   )
 }
@@ -100,6 +161,7 @@ export default BookDetailsPage
   4. Context Integration:
      - URL parameters drive data lookup
      - Context provides data access methods
+     - Books not in the collection are fetched from Google Books
      - Routing and state management work together seamlessly
      
   5. Component Composition:
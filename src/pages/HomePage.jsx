@@ -2,6 +2,10 @@
 // This component replaces the inline home view from the starter's App.jsx
 
 import { useNavigate } from 'react-router-dom'
+import { useBookCollection } from '../context/BookCollectionContext'
+import ReadingGoals from '../components/ReadingGoals'
+import ReadingStats from '../components/ReadingStats'
+import Recommendations from '../components/Recommendations'
 
 function HomePage() {
   /* 
@@ -11,11 +15,28 @@ function HomePage() {
     - Alternative to Link components for non-anchor navigation
   */
   const navigate = useNavigate()
+  const { books, isFirstRun, loadSampleBooks, startEmptyCollection } = useBookCollection()
 
   return (
     <div className="home-view">
       <h1>Welcome to CodeCaddy</h1>
       <p>Your personal book collection manager</p>
+
+      {/* First run: nothing saved yet, let the user choose how to start */}
+      {isFirstRun && (
+        <div className="first-run">
+          <h2>Get started</h2>
+          <p>Your collection is saved in this browser. How would you like to begin?</p>
+          <div className="quick-actions">
+            <button onClick={loadSampleBooks} className="btn-primary">
+              Start with sample books
+            </button>
+            <button onClick={startEmptyCollection} className="btn-secondary">
+              Start with an empty collection
+            </button>
+          </div>
+        </div>
+      )}
       
       <div className="quick-actions">
         {/* 
@@ -38,6 +59,11 @@ function HomePage() {
           View Collection
         </button>
       </div>
+
+      {/* Goals and stats once the collection has been set up */}
+      {!isFirstRun && <ReadingGoals />}
+      {books.length > 0 && <ReadingStats />}
+      {books.length > 0 && <Recommendations />}
     </div>
   )
 }
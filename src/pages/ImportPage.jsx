@@ -0,0 +1,14 @@
+// ImportPage Component
+// Route wrapper for importing Goodreads / StoryGraph reading history
+
+import ImportCollection from '../components/ImportCollection'
+
+function ImportPage() {
+  return (
+    <div className="import-page">
+      <ImportCollection />
+    </div>
+  )
+}
+
+export default ImportPage
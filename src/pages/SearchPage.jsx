@@ -1,8 +1,18 @@
 // SOLUTION: SearchPage Component
 // This component wraps the BookSearch component and handles navigation
 
-import { useNavigate } from 'react-router-dom'
+import { useEffect, useRef } from 'react'
+import { useNavigate, useSearchParams, useLocation } from 'react-router-dom'
+import { useBookCollection } from '../context/BookCollectionContext'
 import BookSearch from '../components/BookSearch'
+import SavedSearches from '../components/SavedSearches'
+import { isAvailabilityFilter } from '../services/googleBooksApi'
+
+const SORT_ORDERS = ['relevance', 'newest']
+
+// Pages are fetched one after another on load, so links can't ask for many
+const MAX_URL_PAGES = 5
+const SCROLL_KEY_PREFIX = 'codecaddy:search-scroll:'
 
 function SearchPage() {
   /* 
@@ -23,6 +33,74 @@ function SearchPage() {
     navigate(`/book/${book.id}`)
   }
 
+  /*
+    URL Search Params as the Source of Truth
+    - q: the full query string (advanced filters are encoded as operators)
+    - sort: Google Books orderBy value
+    - filter: availability filter (free-ebooks, full, ...), sent with the
+      request rather than as part of q
+    - page: number of result pages loaded (at most MAX_URL_PAGES are
+      fetched when the page opens; "Load more" continues from there)
+    - Bookmarks, shared links and back/forward all restore the same search
+  */
+  const [searchParams, setSearchParams] = useSearchParams()
+  const query = searchParams.get('q') || ''
+  const sort = SORT_ORDERS.includes(searchParams.get('sort')) ? searchParams.get('sort') : 'relevance'
+  const filter = isAvailabilityFilter(searchParams.get('filter')) ? searchParams.get('filter') : ''
+  const page = Math.min(MAX_URL_PAGES, Math.max(1, parseInt(searchParams.get('page'), 10) || 1))
+
+  const handleSearchParamsChange = (changes, { replace = false } = {}) => {
+    const next = { q: query, sort, filter, page, ...changes }
+    const params = {}
+    if (next.q) params.q = next.q
+    if (next.sort !== 'relevance') params.sort = next.sort
+    if (next.filter) params.filter = next.filter
+    if (next.page > 1) params.page = String(next.page)
+    setSearchParams(params, { replace })
+  }
+
+  /*
+    Scroll Position Restoration
+    - Remember the scroll offset for each history entry
+    - Restore it once the results for that entry have been rendered
+  */
+  const location = useLocation()
+  const { searchResults, searchQuery, searchPage, isLoading } = useBookCollection()
+  const restoredKeyRef = useRef(null)
+
+  useEffect(() => {
+    const storageKey = `${SCROLL_KEY_PREFIX}${location.key}`
+    let frame = null
+    const handleScroll = () => {
+      if (frame) return
+      frame = requestAnimationFrame(() => {
+        frame = null
+        sessionStorage.setItem(storageKey, String(window.scrollY))
+      })
+    }
+
+    window.addEventListener('scroll', handleScroll, { passive: true })
+    return () => {
+      window.removeEventListener('scroll', handleScroll)
+      if (frame) cancelAnimationFrame(frame)
+    }
+  }, [location.key])
+
+  const resultsReady = !isLoading &&
+    searchResults.length > 0 &&
+    searchQuery === query &&
+    searchPage + 1 >= page
+
+  useEffect(() => {
+    if (!resultsReady || restoredKeyRef.current === location.key) return
+    restoredKeyRef.current = location.key
+
+    const saved = sessionStorage.getItem(`${SCROLL_KEY_PREFIX}${location.key}`)
+    if (saved !== null) {
+      window.scrollTo(0, Number(saved))
+    }
+  }, [resultsReady, location.key])
+
   return (
     <div className="search-page">
       {/* 
@@ -31,7 +109,17 @@ function SearchPage() {
         - Page component handles the routing-specific logic
         - onBookSelect prop provides navigation callback
       */}
-      <BookSearch onBookSelect={handleBookSelect} />
+      <BookSearch
+        onBookSelect={handleBookSelect}
+        query={query}
+        sort={sort}
+        filter={filter}
+        page={page}
+        onSearchParamsChange={handleSearchParamsChange}
+      />
+
+      {/* Saved searches and recent history */}
+      <SavedSearches />
     </div>
   )
 }
@@ -51,7 +139,12 @@ export default SearchPage
      - The ID becomes a parameter accessible in BookDetailsPage
      - This pattern enables bookmarkable URLs for specific books
      
-  3. Props Pattern:
+  3. Shareable Searches:
+     - /search?q=...&sort=...&filter=...&page=... fully describes a search
+     - BookSearch re-runs the search when the URL changes
+     - Results already in context are reused on back navigation
+
+  4. Props Pattern:
      - onBookSelect callback allows components to trigger navigation
      - Components don't need to know about routing
      - Page components orchestrate the navigation flow
@@ -0,0 +1,16 @@
+// SeriesPage Component
+// Route wrapper for the series view at /series
+
+import SeriesView from '../components/SeriesView'
+
+function SeriesPage() {
+  return (
+    <div className="series-page">
+      <h1>Series</h1>
+      <p className="series-summary">Your books grouped by series, in reading order.</p>
+      <SeriesView />
+    </div>
+  )
+}
+
+export default SeriesPage
@@ -0,0 +1,251 @@
+// API Cache
+// LRU response cache shared by the book API calls, with in-flight request
+// sharing, stale-while-revalidate and an optional persistent tier
+
+import { createAbortError } from './requestScheduler'
+
+/**
+ * Cache Entry Ages
+ * - fresh: younger than `ttl`, served without a request
+ * - stale: younger than `staleTtl`; with staleWhileRevalidate it is served
+ *   immediately while a background request refreshes it
+ * - expired: older than `staleTtl`, treated as a miss
+ */
+const DEFAULT_OPTIONS = {
+  maxSize: 100,
+  ttl: 5 * 60 * 1000, // 5 minutes
+  staleTtl: 24 * 60 * 60 * 1000, // 1 day
+  persistence: null // { get(key), set(key, entry), delete(key), clear() }, all async
+}
+
+function createMetrics() {
+  return {
+    hits: 0, // fresh entries served from memory
+    persistentHits: 0, // fresh entries loaded from the persistent tier
+    staleHits: 0, // stale entries served while revalidating
+    misses: 0, // requests that went to the network
+    dedupedRequests: 0, // callers that shared an in-flight request
+    revalidations: 0, // background refreshes started
+    evictions: 0 // entries dropped by the LRU limit
+  }
+}
+
+export class ApiCache {
+  constructor(options = {}) {
+    const { maxSize, ttl, staleTtl, persistence } = { ...DEFAULT_OPTIONS, ...options }
+    this.cache = new Map() // key -> { data, storedAt }; Map order = least recently used first
+    this.inflight = new Map() // key -> { promise, controller, waiters }
+    this.maxSize = maxSize
+    this.ttl = ttl
+    this.staleTtl = staleTtl
+    this.persistence = persistence
+    this.metrics = createMetrics()
+  }
+
+  get size() {
+    return this.cache.size
+  }
+
+  getAge(entry) {
+    return Date.now() - entry.storedAt
+  }
+
+  // Read an entry and mark it most recently used
+  touch(key) {
+    const entry = this.cache.get(key)
+    if (!entry) return null
+    this.cache.delete(key)
+    this.cache.set(key, entry)
+    return entry
+  }
+
+  /**
+   * Get
+   * Returns fresh data for `key`, or null. Does not hit the network.
+   */
+  get(key, { ttl = this.ttl } = {}) {
+    const entry = this.touch(key)
+    if (!entry) return null
+    if (this.getAge(entry) > ttl) return null
+    return entry.data
+  }
+
+  set(key, data, storedAt = Date.now()) {
+    this.cache.delete(key)
+    this.cache.set(key, { data, storedAt })
+
+    while (this.cache.size > this.maxSize) {
+      const leastRecentKey = this.cache.keys().next().value
+      this.cache.delete(leastRecentKey)
+      this.metrics.evictions += 1
+    }
+  }
+
+  /**
+   * Fetch Through the Cache
+   * Returns cached data when possible, otherwise calls `loader(signal)` once
+   * and shares that request with every caller asking for the same key.
+   * Options: { ttl, staleTtl, staleWhileRevalidate, persist, signal }
+   *
+   * A caller whose `signal` aborts stops waiting straight away; the shared
+   * request itself is only aborted once every caller has given up.
+   */
+  async fetch(key, loader, options = {}) {
+    const {
+      ttl = this.ttl,
+      staleTtl = this.staleTtl,
+      staleWhileRevalidate = false,
+      persist = true,
+      signal
+    } = options
+
+    if (signal?.aborted) throw createAbortError()
+
+    const entry = this.touch(key)
+    if (entry) {
+      const age = this.getAge(entry)
+      if (age <= ttl) {
+        this.metrics.hits += 1
+        return entry.data
+      }
+      if (staleWhileRevalidate && age <= staleTtl) {
+        this.metrics.staleHits += 1
+        this.revalidate(key, loader, persist)
+        return entry.data
+      }
+    }
+
+    const request = this.inflight.get(key)
+    if (request) {
+      this.metrics.dedupedRequests += 1
+      return this.wait(key, request, signal)
+    }
+
+    const created = this.track(key, (loaderSignal) =>
+      this.load(key, loader, loaderSignal, { ttl, staleTtl, staleWhileRevalidate, persist })
+    )
+    return this.wait(key, created, signal)
+  }
+
+  // Register a request as in flight until it settles
+  track(key, start, { detached = false } = {}) {
+    const controller = new AbortController()
+    // Detached requests (background refreshes) are never aborted by callers
+    const request = { controller, waiters: detached ? Infinity : 0 }
+    request.promise = Promise.resolve()
+      .then(() => start(controller.signal))
+      .finally(() => {
+        if (this.inflight.get(key) === request) this.inflight.delete(key)
+      })
+    this.inflight.set(key, request)
+    return request
+  }
+
+  // Follow a shared request until it settles or `signal` aborts
+  wait(key, request, signal) {
+    request.waiters += 1
+    if (!signal) return request.promise
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        request.waiters -= 1
+        if (request.waiters === 0) {
+          // Nobody wants it any more: cancel, and let new callers start afresh
+          if (this.inflight.get(key) === request) this.inflight.delete(key)
+          request.controller.abort()
+        }
+        reject(createAbortError())
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+      request.promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener('abort', onAbort)
+      })
+    })
+  }
+
+  // Persistent tier first (when enabled), then the network
+  async load(key, loader, signal, { ttl, staleTtl, staleWhileRevalidate, persist }) {
+    if (this.persistence && persist) {
+      const stored = await this.readPersisted(key)
+      if (stored) {
+        const age = this.getAge(stored)
+        if (age <= ttl || (staleWhileRevalidate && age <= staleTtl)) {
+          this.set(key, stored.data, stored.storedAt)
+          if (age <= ttl) {
+            this.metrics.persistentHits += 1
+          } else {
+            this.metrics.staleHits += 1
+            // Deferred until this request has left `inflight`
+            setTimeout(() => this.revalidate(key, loader, persist), 0)
+          }
+          return stored.data
+        }
+      }
+    }
+
+    if (signal.aborted) throw createAbortError()
+    this.metrics.misses += 1
+    const data = await loader(signal)
+    this.store(key, data, persist)
+    return data
+  }
+
+  // Refresh a stale entry in the background; failures keep the stale data
+  revalidate(key, loader, persist) {
+    if (this.inflight.has(key)) return
+    this.metrics.revalidations += 1
+
+    const request = this.track(key, async (signal) => {
+      const data = await loader(signal)
+      this.store(key, data, persist)
+      return data
+    }, { detached: true })
+
+    request.promise.catch((error) => {
+      console.warn(`Background refresh failed for ${key}:`, error)
+    })
+  }
+
+  store(key, data, persist) {
+    const storedAt = Date.now()
+    this.set(key, data, storedAt)
+    if (this.persistence && persist) {
+      this.persistence.set(key, { data, storedAt }).catch((error) => {
+        console.warn('Could not persist cache entry:', error)
+      })
+    }
+  }
+
+  async readPersisted(key) {
+    try {
+      return await this.persistence.get(key)
+    } catch (error) {
+      console.warn('Could not read persisted cache entry:', error)
+      return null
+    }
+  }
+
+  /**
+   * Metrics
+   * Counters since the cache was created (or last cleared)
+   */
+  getMetrics() {
+    const { hits, persistentHits, staleHits, misses } = this.metrics
+    const served = hits + persistentHits + staleHits
+    const total = served + misses
+    return {
+      ...this.metrics,
+      size: this.cache.size,
+      inflight: this.inflight.size,
+      hitRate: total ? Math.round((served / total) * 1000) / 1000 : 0
+    }
+  }
+
+  async clear() {
+    this.cache.clear()
+    this.metrics = createMetrics()
+    if (this.persistence) {
+      await this.persistence.clear()
+    }
+  }
+}
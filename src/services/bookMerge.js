@@ -0,0 +1,168 @@
+// Book Merge Utilities
+// Match the same edition across data sources by ISBN and combine their
+// metadata, recording which source each field came from
+
+/**
+ * Placeholder Values
+ * Transforms fill gaps with these defaults; a field holding one of them
+ * is treated as missing so another source can fill it in
+ */
+const PLACEHOLDERS = {
+  title: ['Unknown Title'],
+  authors: [['Unknown Author']],
+  description: ['No description available'],
+  publishedDate: ['Unknown'],
+  pageCount: [0],
+  publisher: ['Unknown Publisher'],
+  averageRating: [0],
+  ratingsCount: [0]
+}
+
+// Fields that can be filled from a secondary source
+const MERGEABLE_FIELDS = [
+  'title',
+  'subtitle',
+  'authors',
+  'description',
+  'publishedDate',
+  'pageCount',
+  'categories',
+  'publisher',
+  'language',
+  'averageRating',
+  'ratingsCount'
+]
+
+export function isMissingValue(field, value) {
+  if (value === undefined || value === null || value === '') return true
+  if (Array.isArray(value) && value.length === 0) return true
+  return (PLACEHOLDERS[field] || []).some(placeholder =>
+    JSON.stringify(placeholder) === JSON.stringify(value)
+  )
+}
+
+/**
+ * ISBN Normalisation
+ * Converts ISBN-10 to ISBN-13 so both forms of the same edition match
+ */
+export function normalizeIsbn(isbn) {
+  const digits = String(isbn || '').replace(/[^0-9Xx]/g, '').toUpperCase()
+
+  if (digits.length === 13) return digits
+  if (digits.length !== 10) return null
+
+  const core = `978${digits.slice(0, 9)}`
+  const sum = core
+    .split('')
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0)
+  return `${core}${(10 - (sum % 10)) % 10}`
+}
+
+// All normalised ISBN-13s listed in a book's industryIdentifiers
+export function getIsbns(book) {
+  return (book.industryIdentifiers || [])
+    .filter(id => id.type === 'ISBN_10' || id.type === 'ISBN_13')
+    .map(id => normalizeIsbn(id.identifier))
+    .filter(Boolean)
+}
+
+// Identifiers from both books, without duplicates
+function mergeIdentifiers(primary, secondary) {
+  const seen = new Set((primary || []).map(id => `${id.type}:${id.identifier}`))
+  const merged = [...(primary || [])]
+  ;(secondary || []).forEach(id => {
+    const key = `${id.type}:${id.identifier}`
+    if (!seen.has(key)) {
+      seen.add(key)
+      merged.push(id)
+    }
+  })
+  return merged
+}
+
+/**
+ * Annotate Sources
+ * Marks every present field of a single-source book with its source
+ */
+export function annotateSources(book, source) {
+  const fieldSources = {}
+  MERGEABLE_FIELDS.forEach(field => {
+    if (!isMissingValue(field, book[field])) {
+      fieldSources[field] = source
+    }
+  })
+  if (book.imageLinks?.thumbnail) {
+    fieldSources.imageLinks = source
+  }
+
+  return {
+    ...book,
+    sources: [source],
+    sourceIds: { [source]: book.id },
+    fieldSources
+  }
+}
+
+/**
+ * Merge Books
+ * Keeps the primary book's values and fills missing ones from the
+ * secondary book. Both books must already be annotated with sources.
+ */
+export function mergeBooks(primary, secondary) {
+  const merged = {
+    ...primary,
+    fieldSources: { ...primary.fieldSources },
+    sources: [...new Set([...primary.sources, ...secondary.sources])]
+  }
+
+  MERGEABLE_FIELDS.forEach(field => {
+    if (isMissingValue(field, primary[field]) && !isMissingValue(field, secondary[field])) {
+      merged[field] = secondary[field]
+      merged.fieldSources[field] = secondary.fieldSources[field]
+    }
+  })
+
+  if (!primary.imageLinks?.thumbnail && secondary.imageLinks?.thumbnail) {
+    merged.imageLinks = secondary.imageLinks
+    merged.fieldSources.imageLinks = secondary.fieldSources.imageLinks
+  }
+
+  merged.industryIdentifiers = mergeIdentifiers(primary.industryIdentifiers, secondary.industryIdentifiers)
+
+  // Keep links back to each source's own record
+  merged.sourceIds = { ...primary.sourceIds, ...secondary.sourceIds }
+
+  return merged
+}
+
+/**
+ * Merge Result Lists
+ * Combines result lists from several sources in priority order, merging
+ * entries that share an ISBN into the first (highest priority) match
+ */
+export function mergeResultLists(lists) {
+  const merged = []
+  const indexByIsbn = new Map()
+
+  lists.forEach(list => {
+    list.forEach(book => {
+      const isbns = getIsbns(book)
+      const existingIndex = isbns
+        .map(isbn => indexByIsbn.get(isbn))
+        .find(index => index !== undefined)
+
+      if (existingIndex !== undefined) {
+        merged[existingIndex] = mergeBooks(merged[existingIndex], book)
+      } else {
+        merged.push(book)
+      }
+
+      const index = existingIndex !== undefined ? existingIndex : merged.length - 1
+      isbns.forEach(isbn => {
+        if (!indexByIsbn.has(isbn)) indexByIsbn.set(isbn, index)
+      })
+    })
+  })
+
+  return merged
+}
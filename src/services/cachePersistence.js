@@ -0,0 +1,81 @@
+// Cache Persistence
+// IndexedDB tier for ApiCache so search results and book lookups survive
+// reloads. Kept in its own database so clearing it never touches the
+// saved collection.
+
+import { isIndexedDbAvailable, requestToPromise, transactionDone, createDatabaseOpener } from './indexedDb'
+
+const DB_NAME = 'codecaddy-cache'
+const DB_VERSION = 1
+const STORE_NAME = 'responses'
+
+/**
+ * IndexedDB Cache Store
+ * Implements the ApiCache persistence interface. Records are
+ * { key, data, storedAt }; the oldest are pruned beyond `maxEntries`.
+ * Returns null when IndexedDB isn't available.
+ */
+export function createIndexedDbCacheStore({ maxEntries = 500 } = {}) {
+  if (!isIndexedDbAvailable()) return null
+
+  const openDatabase = createDatabaseOpener(DB_NAME, DB_VERSION, (db) => {
+    const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' })
+    store.createIndex('storedAt', 'storedAt')
+  })
+
+  // Delete the oldest records until at most `maxEntries` remain.
+  // Callbacks (not await) keep every request inside the live transaction.
+  const prune = (db) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite')
+    const store = transaction.objectStore(STORE_NAME)
+    const countRequest = store.count()
+
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - maxEntries
+      if (excess <= 0) return
+
+      const cursorRequest = store.index('storedAt').openCursor()
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result
+        if (cursor && excess > 0) {
+          cursor.delete()
+          excess -= 1
+          cursor.continue()
+        }
+      }
+    }
+    return transactionDone(transaction)
+  }
+
+  return {
+    async get(key) {
+      const db = await openDatabase()
+      const record = await requestToPromise(
+        db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(key)
+      )
+      return record ? { data: record.data, storedAt: record.storedAt } : null
+    },
+
+    async set(key, { data, storedAt }) {
+      const db = await openDatabase()
+      const transaction = db.transaction(STORE_NAME, 'readwrite')
+      transaction.objectStore(STORE_NAME).put({ key, data, storedAt })
+      await transactionDone(transaction)
+      await prune(db)
+    },
+
+    async delete(key) {
+      const db = await openDatabase()
+      const transaction = db.transaction(STORE_NAME, 'readwrite')
+      transaction.objectStore(STORE_NAME).delete(key)
+      await transactionDone(transaction)
+    },
+
+    async clear() {
+      const db = await openDatabase()
+      const transaction = db.transaction(STORE_NAME, 'readwrite')
+      transaction.objectStore(STORE_NAME).clear()
+      await transactionDone(transaction)
+    }
+  }
+}
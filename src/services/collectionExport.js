@@ -0,0 +1,238 @@
+// Collection Export Service
+// Serialises books to a lossless JSON backup, CSV, a Markdown reading list
+// and BibTeX/RIS citations, and reads JSON backups back in
+
+import { SCHEMA_VERSION, migrate } from './collectionStorage'
+import { toCsv } from '../utils/csv'
+import { BOOK_STATUSES } from '../utils/shelves'
+
+const BACKUP_FORMAT = 'codecaddy-backup'
+
+/**
+ * Export Formats
+ * Keyed by the value the export menu stores
+ */
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON backup', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV spreadsheet', extension: 'csv', mimeType: 'text/csv' },
+  markdown: { label: 'Markdown reading list', extension: 'md', mimeType: 'text/markdown' },
+  bibtex: { label: 'BibTeX citations', extension: 'bib', mimeType: 'application/x-bibtex' },
+  ris: { label: 'RIS citations', extension: 'ris', mimeType: 'application/x-research-info-systems' }
+}
+
+// Year from publishedDate values such as "2005", "2005-08" or "2005-08-02"
+function getYear(book) {
+  const match = String(book.publishedDate || '').match(/^\d{4}/)
+  return match ? match[0] : ''
+}
+
+function getIdentifier(book, type) {
+  return (book.industryIdentifiers || []).find(id => id.type === type)?.identifier || ''
+}
+
+function getKnownAuthors(book) {
+  return (book.authors || []).filter(author => author !== 'Unknown Author')
+}
+
+function getKnownPublisher(book) {
+  return book.publisher && book.publisher !== 'Unknown Publisher' ? book.publisher : ''
+}
+
+/**
+ * JSON Backup
+ * Includes the schema version so restoring runs the storage migrations
+ */
+function exportJson(books, { tags = [] }) {
+  // Only keep the tags the exported books actually use
+  const usedTagIds = new Set(books.flatMap(book => book.tagIds || []))
+
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: {
+      books,
+      tags: tags.filter(tag => usedTagIds.has(tag.id))
+    }
+  }, null, 2)
+}
+
+/**
+ * Parse Backup
+ * Validates and migrates a JSON backup, returning { books, tags }
+ */
+export function parseBackup(text) {
+  let record
+  try {
+    record = JSON.parse(text)
+  } catch (error) {
+    throw new Error('This file is not valid JSON.')
+  }
+
+  if (record?.format !== BACKUP_FORMAT) {
+    throw new Error('This JSON file is not a CodeCaddy backup.')
+  }
+
+  const data = migrate(record)
+  return {
+    books: data.books || [],
+    tags: data.tags || []
+  }
+}
+
+function exportCsv(books, { tags = [] }) {
+  const tagName = (tagId) => tags.find(tag => tag.id === tagId)?.name
+
+  return toCsv(books, [
+    { header: 'ID', value: book => book.id },
+    { header: 'Title', value: book => book.title },
+    { header: 'Authors', value: book => getKnownAuthors(book).join('; ') },
+    { header: 'Status', value: book => book.status },
+    { header: 'My Rating', value: book => book.personalRating ?? '' },
+    { header: 'Average Rating', value: book => book.averageRating || '' },
+    { header: 'Published', value: book => (book.publishedDate === 'Unknown' ? '' : book.publishedDate) },
+    { header: 'Publisher', value: book => getKnownPublisher(book) },
+    { header: 'Pages', value: book => book.pageCount || '' },
+    { header: 'ISBN13', value: book => getIdentifier(book, 'ISBN_13') },
+    { header: 'ISBN10', value: book => getIdentifier(book, 'ISBN_10') },
+    { header: 'Categories', value: book => (book.categories || []).join('; ') },
+    { header: 'Tags', value: book => (book.tagIds || []).map(tagName).filter(Boolean).join('; ') },
+    { header: 'Date Added', value: book => book.dateAdded || '' },
+    { header: 'Date Started', value: book => book.dateStarted || '' },
+    { header: 'Date Finished', value: book => book.dateFinished || '' },
+    { header: 'Current Page', value: book => book.progress?.currentPage || '' },
+    { header: 'Review', value: book => book.review || '' }
+  ])
+}
+
+/**
+ * Markdown Reading List
+ * One section per status, in the usual reading order
+ */
+function exportMarkdown(books) {
+  const lines = ['# Reading List', '']
+
+  BOOK_STATUSES.forEach(({ value, label }) => {
+    const shelf = books.filter(book => book.status === value)
+    if (shelf.length === 0) return
+
+    lines.push(`## ${label} (${shelf.length})`, '')
+    shelf.forEach(book => {
+      const authors = getKnownAuthors(book)
+      const year = getYear(book)
+      let line = `- **${book.title}**`
+      if (authors.length) line += ` by ${authors.join(', ')}`
+      if (year) line += ` (${year})`
+      if (book.personalRating) line += ` — ${book.personalRating}/5`
+      lines.push(line)
+    })
+    lines.push('')
+  })
+
+  return lines.join('\n')
+}
+
+// Characters escaped with a command rather than a leading backslash
+const BIBTEX_COMMANDS = {
+  '\\': '\\textbackslash{}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+}
+
+// Escape characters with special meaning in BibTeX, in one pass so the
+// braces of inserted commands aren't escaped again
+function escapeBibtex(value) {
+  return String(value).replace(/[\\{}&%$#_~^]/g, char => BIBTEX_COMMANDS[char] || `\\${char}`)
+}
+
+// Citation keys like "herbert2005dune", made unique within one export
+function buildCitationKey(book, usedKeys) {
+  const surname = (getKnownAuthors(book)[0] || 'anon').split(/\s+/).pop()
+  const firstWord = (book.title || 'untitled')
+    .split(/\s+/)
+    .find(word => !['a', 'an', 'the'].includes(word.toLowerCase())) || 'untitled'
+  const base = `${surname}${getYear(book)}${firstWord}`.toLowerCase().replace(/[^a-z0-9]/g, '') || 'book'
+
+  let key = base
+  let suffix = 1
+  while (usedKeys.has(key)) {
+    key = `${base}${String.fromCharCode(96 + suffix)}` // a, b, c ...
+    suffix += 1
+  }
+  usedKeys.add(key)
+  return key
+}
+
+function exportBibtex(books) {
+  const usedKeys = new Set()
+
+  return books.map(book => {
+    const fields = [
+      ['title', book.title],
+      ['author', getKnownAuthors(book).join(' and ')],
+      ['publisher', getKnownPublisher(book)],
+      ['year', getYear(book)],
+      ['isbn', getIdentifier(book, 'ISBN_13') || getIdentifier(book, 'ISBN_10')]
+    ].filter(([, value]) => value)
+
+    const body = fields
+      .map(([name, value]) => `  ${name} = {${escapeBibtex(value)}}`)
+      .join(',\n')
+
+    return `@book{${buildCitationKey(book, usedKeys)},\n${body}\n}`
+  }).join('\n\n') + '\n'
+}
+
+function exportRis(books) {
+  return books.map(book => {
+    const lines = ['TY  - BOOK', `TI  - ${book.title}`]
+    getKnownAuthors(book).forEach(author => lines.push(`AU  - ${author}`))
+    if (getKnownPublisher(book)) lines.push(`PB  - ${getKnownPublisher(book)}`)
+    if (getYear(book)) lines.push(`PY  - ${getYear(book)}`)
+    const isbn = getIdentifier(book, 'ISBN_13') || getIdentifier(book, 'ISBN_10')
+    if (isbn) lines.push(`SN  - ${isbn}`)
+    if (book.infoLink) lines.push(`UR  - ${book.infoLink}`)
+    lines.push('ER  - ')
+    return lines.join('\r\n')
+  }).join('\r\n\r\n') + '\r\n'
+}
+
+const SERIALIZERS = {
+  json: exportJson,
+  csv: exportCsv,
+  markdown: exportMarkdown,
+  bibtex: exportBibtex,
+  ris: exportRis
+}
+
+/**
+ * Export Books
+ * Returns the file content for `books` in the given format
+ */
+export function exportBooks(format, books, context = {}) {
+  const serialize = SERIALIZERS[format]
+  if (!serialize) {
+    throw new Error(`Unknown export format "${format}"`)
+  }
+  return serialize(books, context)
+}
+
+/**
+ * Download Export
+ * Serialises the books and triggers a browser download
+ */
+export function downloadExport(format, books, context = {}, baseName = 'codecaddy-collection') {
+  const { extension, mimeType } = EXPORT_FORMATS[format]
+  const content = exportBooks(format, books, context)
+  const date = new Date().toISOString().slice(0, 10)
+
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `${baseName}-${date}.${extension}`
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
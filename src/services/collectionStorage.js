@@ -0,0 +1,264 @@
+// Collection Storage Service
+// Persists the book collection across reloads using IndexedDB, with a
+// localStorage fallback for browsers (or private modes) without IndexedDB
+
+import { isIndexedDbAvailable, requestToPromise, transactionDone, createDatabaseOpener } from './indexedDb'
+
+/**
+ * Storage Configuration
+ * The database, object store and record key used for the saved collection
+ */
+const DB_NAME = 'codecaddy'
+const DB_VERSION = 1
+const STORE_NAME = 'collection'
+const RECORD_KEY = 'state'
+const LOCAL_STORAGE_KEY = 'codecaddy:collection'
+
+/**
+ * Schema Version
+ * Bump this whenever the persisted shape changes and add a matching
+ * entry to MIGRATIONS that upgrades data saved by the previous version
+ */
+export const SCHEMA_VERSION = 9
+
+/**
+ * Schema Migrations
+ * Each entry upgrades persisted data from version `n` to version `n + 1`.
+ * Migrations run in sequence, so a collection saved several versions ago
+ * is walked forward one step at a time.
+ */
+const MIGRATIONS = {
+  // Version 0: unversioned data, a bare array of books
+  0: (data) => ({
+    books: Array.isArray(data) ? data : (data?.books || [])
+  }),
+
+  // Version 1 -> 2: page-level reading progress on every book
+  1: (data) => ({
+    ...data,
+    books: data.books.map(book => ({
+      ...book,
+      progress: book.progress || { currentPage: 0, percent: 0, sessions: [] }
+    }))
+  }),
+
+  // Version 2 -> 3: personal rating, review and private notes
+  2: (data) => ({
+    ...data,
+    books: data.books.map(book => ({
+      ...book,
+      personalRating: book.personalRating ?? null,
+      review: book.review || '',
+      notes: book.notes || []
+    }))
+  }),
+
+  // Version 3 -> 4: user-defined tags/shelves
+  3: (data) => ({
+    ...data,
+    tags: data.tags || [],
+    books: data.books.map(book => ({
+      ...book,
+      tagIds: book.tagIds || []
+    }))
+  }),
+
+  // Version 4 -> 5: reading dates, recovered from the session log where possible
+  4: (data) => ({
+    ...data,
+    books: data.books.map(book => {
+      const sessions = book.progress?.sessions || []
+      const firstSession = sessions[0]?.date || null
+      const lastSession = sessions[sessions.length - 1]?.date || null
+      const hasStarted = book.status === 'currently-reading' || book.status === 'read'
+
+      return {
+        ...book,
+        dateAdded: book.dateAdded || null,
+        dateStarted: book.dateStarted || (hasStarted ? firstSession : null),
+        dateFinished: book.dateFinished || (book.status === 'read' ? lastSession : null)
+      }
+    })
+  }),
+
+  // Version 5 -> 6: yearly reading goals
+  5: (data) => ({
+    ...data,
+    goals: data.goals || []
+  }),
+
+  // Version 6 -> 7: saved UI preferences (collection sort and filters)
+  6: (data) => ({
+    ...data,
+    preferences: data.preferences || {}
+  }),
+
+  // Version 7 -> 8: search history (replacing the recentSearches preference)
+  // and saved searches
+  7: (data) => {
+    const { recentSearches = [], ...preferences } = data.preferences || {}
+    return {
+      ...data,
+      preferences,
+      searchHistory: data.searchHistory ||
+        recentSearches.map(query => ({ query, orderBy: 'relevance', searchedAt: null, totalItems: null })),
+      savedSearches: data.savedSearches || []
+    }
+  },
+
+  // Version 8 -> 9: manual series override (null = detect from the title)
+  8: (data) => ({
+    ...data,
+    books: data.books.map(book => ({
+      ...book,
+      series: book.series ?? null
+    }))
+  })
+}
+
+/**
+ * Run Migrations
+ * Upgrades a persisted record to the current schema version
+ */
+export function migrate(record) {
+  const isVersioned = Number.isInteger(record?.schemaVersion)
+  let version = isVersioned ? record.schemaVersion : 0
+  let data = isVersioned ? record.data : record
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Saved collection uses schema v${version}, but this app only understands up to v${SCHEMA_VERSION}`
+    )
+  }
+
+  while (version < SCHEMA_VERSION) {
+    const upgrade = MIGRATIONS[version]
+    if (!upgrade) {
+      throw new Error(`No migration available from schema v${version}`)
+    }
+    data = upgrade(data)
+    version += 1
+  }
+
+  return data
+}
+
+/**
+ * IndexedDB Store
+ * The saved collection is a single record in one object store
+ */
+const openDatabase = createDatabaseOpener(DB_NAME, DB_VERSION, (db) => {
+  if (!db.objectStoreNames.contains(STORE_NAME)) {
+    db.createObjectStore(STORE_NAME)
+  }
+})
+
+async function idbGet(key) {
+  const db = await openDatabase()
+  return requestToPromise(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(key))
+}
+
+async function idbPut(key, value) {
+  const db = await openDatabase()
+  const transaction = db.transaction(STORE_NAME, 'readwrite')
+  transaction.objectStore(STORE_NAME).put(value, key)
+  return transactionDone(transaction)
+}
+
+async function idbDelete(key) {
+  const db = await openDatabase()
+  const transaction = db.transaction(STORE_NAME, 'readwrite')
+  transaction.objectStore(STORE_NAME).delete(key)
+  return transactionDone(transaction)
+}
+
+/**
+ * localStorage Helpers
+ * Used when IndexedDB is unavailable or fails at runtime
+ */
+function localGet() {
+  const raw = localStorage.getItem(LOCAL_STORAGE_KEY)
+  return raw ? JSON.parse(raw) : undefined
+}
+
+function localPut(value) {
+  localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(value))
+}
+
+function localDelete() {
+  localStorage.removeItem(LOCAL_STORAGE_KEY)
+}
+
+/**
+ * Load Collection
+ * Reads the saved collection and migrates it to the current schema.
+ * Resolves to null when nothing has been saved yet (first run).
+ */
+export async function loadCollection() {
+  let record
+
+  if (isIndexedDbAvailable()) {
+    try {
+      record = await idbGet(RECORD_KEY)
+    } catch (error) {
+      console.warn('IndexedDB read failed, falling back to localStorage:', error)
+    }
+  }
+
+  if (record === undefined) {
+    try {
+      record = localGet()
+    } catch (error) {
+      console.warn('localStorage read failed:', error)
+    }
+  }
+
+  if (record === undefined || record === null) {
+    return null
+  }
+
+  return migrate(record)
+}
+
+/**
+ * Save Collection
+ * Writes the given data tagged with the current schema version
+ */
+export async function saveCollection(data) {
+  const record = {
+    schemaVersion: SCHEMA_VERSION,
+    savedAt: Date.now(),
+    data
+  }
+
+  if (isIndexedDbAvailable()) {
+    try {
+      await idbPut(RECORD_KEY, record)
+      return
+    } catch (error) {
+      console.warn('IndexedDB write failed, falling back to localStorage:', error)
+    }
+  }
+
+  localPut(record)
+}
+
+/**
+ * Clear Collection
+ * Removes the saved collection from every storage backend
+ */
+export async function clearCollection() {
+  if (isIndexedDbAvailable()) {
+    try {
+      await idbDelete(RECORD_KEY)
+    } catch (error) {
+      console.warn('IndexedDB delete failed:', error)
+    }
+  }
+
+  try {
+    localDelete()
+  } catch (error) {
+    console.warn('localStorage delete failed:', error)
+  }
+}
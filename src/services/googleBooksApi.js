@@ -1,97 +1,48 @@
 // SOLUTION: Google Books API Service
 // Complete implementation with error handling, caching, and data transformation
 
-/**
- * Google Books API Configuration
- * Base URL for Google Books API v1
- */
-const GOOGLE_BOOKS_BASE_URL = 'https://www.googleapis.com/books/v1/volumes'
-
-/**
- * Get API key from environment variables
- * In development, this comes from .env file
- * In production, this should be set in deployment environment
- */
-const API_KEY = import.meta.env.VITE_GOOGLE_BOOKS_API_KEY
-
-/**
- * SOLUTION: Book Data Transformation
- * Google Books API returns data in a specific format that needs to be
- * transformed to match our application's Book interface
- */
-function transformGoogleBookToBook(googleBook) {
-  const volumeInfo = googleBook.volumeInfo || {}
-  const imageLinks = volumeInfo.imageLinks || {}
-  
-  return {
-    id: googleBook.id,
-    title: volumeInfo.title || 'Unknown Title',
-    authors: volumeInfo.authors || ['Unknown Author'],
-    description: volumeInfo.description || 'No description available',
-    publishedDate: volumeInfo.publishedDate || 'Unknown',
-    pageCount: volumeInfo.pageCount || 0,
-    categories: volumeInfo.categories || [],
-    publisher: volumeInfo.publisher || 'Unknown Publisher',
-    language: volumeInfo.language || 'en',
-    imageLinks: {
-      thumbnail: imageLinks.thumbnail || imageLinks.smallThumbnail || null,
-      small: imageLinks.small || imageLinks.thumbnail || null,
-      medium: imageLinks.medium || imageLinks.small || null,
-      large: imageLinks.large || imageLinks.medium || null
-    },
-    // Additional metadata
-    industryIdentifiers: volumeInfo.industryIdentifiers || [],
-    averageRating: volumeInfo.averageRating || 0,
-    ratingsCount: volumeInfo.ratingsCount || 0,
-    maturityRating: volumeInfo.maturityRating || 'NOT_MATURE',
-    // Google Books specific fields
-    googleBooksId: googleBook.id,
-    selfLink: googleBook.selfLink,
-    previewLink: volumeInfo.previewLink,
-    infoLink: volumeInfo.infoLink,
-    canonicalVolumeLink: volumeInfo.canonicalVolumeLink
-  }
-}
+import { resolveProvider } from './providers'
+import { ApiCache } from './apiCache'
+import { createIndexedDbCacheStore } from './cachePersistence'
+import { RequestScheduler } from './requestScheduler'
+import { setRequestScheduler } from './providers/http'
+import { GOOGLE_BOOKS_QUOTA } from './providers/googleBooksProvider'
+
+// Query helpers live in their own module so providers can share them
+export {
+  SearchFilters,
+  EMPTY_ADVANCED_FIELDS,
+  AVAILABILITY_FILTERS,
+  isAvailabilityFilter,
+  buildAdvancedQuery,
+  buildFieldQuery,
+  parseAdvancedQuery
+} from './searchQuery'
 
 /**
- * SOLUTION: API Request Builder
- * Constructs Google Books API URLs with proper parameters
+ * Active Book Provider
+ * Selected with VITE_BOOK_PROVIDER ('google' by default, 'fixtures' for
+ * offline development); see ./providers/index.js for the interface
  */
-function buildSearchUrl(query, options = {}) {
-  const {
-    startIndex = 0,
-    maxResults = 20,
-    orderBy = 'relevance',
-    langRestrict = 'en',
-    printType = 'books'
-  } = options
-
-  const params = new URLSearchParams({
-    q: query,
-    startIndex: startIndex.toString(),
-    maxResults: Math.min(maxResults, 40).toString(), // Google Books max is 40
-    orderBy,
-    langRestrict,
-    printType
-  })
-
-  // Add API key if available
-  if (API_KEY) {
-    params.append('key', API_KEY)
-  }
-
-  return `${GOOGLE_BOOKS_BASE_URL}?${params.toString()}`
-}
+const provider = resolveProvider()
 
 /**
  * SOLUTION: Error Handling Utility
  * Provides user-friendly error messages for different API error scenarios
  */
 function handleApiError(error, context = 'API request') {
-  console.error(`Google Books API Error (${context}):`, error)
-
   if (error.name === 'AbortError') {
-    return new Error('Request was cancelled')
+    // Keep the name so callers can tell a superseded request from a failure.
+    // Not logged: cancelling superseded searches is routine
+    const abortError = new Error('Request was cancelled')
+    abortError.name = 'AbortError'
+    return abortError
+  }
+
+  console.error(`${provider.label} API Error (${context}):`, error)
+
+  if (error.timedOut) {
+    return new Error(`${provider.label} took too long to respond. Please try again.`)
   }
 
   if (!navigator.onLine) {
@@ -105,7 +56,9 @@ function handleApiError(error, context = 'API request') {
       case 401:
         return new Error('API key is invalid or missing. Please check your configuration.')
       case 403:
-        return new Error('API quota exceeded. Please try again later.')
+        return new Error(error.quotaExceeded
+          ? 'Daily search limit reached. Please try again tomorrow.'
+          : 'API quota exceeded. Please try again later.')
       case 404:
         return new Error('No books found for your search.')
       case 429:
@@ -113,62 +66,62 @@ function handleApiError(error, context = 'API request') {
       case 500:
       case 502:
       case 503:
-        return new Error('Google Books service is temporarily unavailable. Please try again later.')
+        return new Error(`${provider.label} service is temporarily unavailable. Please try again later.`)
       default:
         return new Error(`API error (${error.status}). Please try again.`)
     }
   }
 
-  return new Error('Failed to connect to Google Books. Please check your internet connection and try again.')
+  return new Error(`Failed to connect to ${provider.label}. Please check your internet connection and try again.`)
 }
 
 /**
- * SOLUTION: Request Cache
- * Simple in-memory cache to avoid duplicate API requests
+ * SOLUTION: Request Scheduler
+ * Every provider request goes through one scheduler: at most 4 at a time,
+ * transient failures retried with jittered backoff (honouring Retry-After),
+ * and Google Books calls counted against VITE_GOOGLE_BOOKS_DAILY_QUOTA
+ * (1000/day by default) per API key.
  */
-class ApiCache {
-  constructor(maxSize = 100, ttl = 5 * 60 * 1000) { // 5 minutes TTL
-    this.cache = new Map()
-    this.maxSize = maxSize
-    this.ttl = ttl
-  }
-
-  get(key) {
-    const item = this.cache.get(key)
-    if (!item) return null
-
-    if (Date.now() > item.expiry) {
-      this.cache.delete(key)
-      return null
-    }
-
-    return item.data
-  }
-
-  set(key, data) {
-    if (this.cache.size >= this.maxSize) {
-      // Remove oldest entry
-      const firstKey = this.cache.keys().next().value
-      this.cache.delete(firstKey)
+const apiKey = import.meta.env.VITE_GOOGLE_BOOKS_API_KEY
+const requestScheduler = new RequestScheduler({
+  maxConcurrent: 4,
+  maxRetries: 3,
+  quotas: {
+    [GOOGLE_BOOKS_QUOTA]: {
+      limit: Number(import.meta.env.VITE_GOOGLE_BOOKS_DAILY_QUOTA) || 1000,
+      // Only a key suffix, so the key itself never lands in storage
+      storageKey: `codecaddy:api-quota:${apiKey ? apiKey.slice(-6) : 'anonymous'}`
     }
-
-    this.cache.set(key, {
-      data,
-      expiry: Date.now() + this.ttl
-    })
   }
+})
+setRequestScheduler(requestScheduler)
 
-  clear() {
-    this.cache.clear()
-  }
+/**
+ * SOLUTION: Request Cache
+ * LRU cache with in-flight request sharing. Entries are persisted to
+ * IndexedDB unless VITE_API_CACHE_PERSIST is 'false'.
+ */
+const persistCache = import.meta.env.VITE_API_CACHE_PERSIST !== 'false'
+const apiCache = new ApiCache({
+  maxSize: 100,
+  persistence: persistCache ? createIndexedDbCacheStore() : null
+})
+
+// Per-kind cache policy: searches go stale quickly, book records rarely change
+const CACHE_POLICIES = {
+  search: { ttl: 5 * 60 * 1000, staleTtl: 24 * 60 * 60 * 1000, staleWhileRevalidate: true },
+  book: { ttl: 60 * 60 * 1000, staleTtl: 7 * 24 * 60 * 60 * 1000, staleWhileRevalidate: true }
 }
 
-// Global cache instance
-const apiCache = new ApiCache()
+// Nothing cached counts as fresh enough, so the request always goes out
+const FRESH_POLICY = { ttl: -1, staleWhileRevalidate: false }
 
 /**
  * SOLUTION: Main Search Function
- * Searches Google Books API with caching, error handling, and data transformation
+ * Searches the active book provider with caching and error handling.
+ * Pass `signal` to cancel a search that has been superseded; the promise
+ * then rejects with an AbortError. `fresh: true` skips cached results
+ * (the fresh response still refreshes the cache).
  */
 export async function searchBooks(query, options = {}) {
   // Validate input
@@ -177,154 +130,65 @@ export async function searchBooks(query, options = {}) {
   }
 
   const cleanQuery = query.trim()
-  const cacheKey = `search:${cleanQuery}:${JSON.stringify(options)}`
-
-  // Check cache first
-  const cachedResult = apiCache.get(cacheKey)
-  if (cachedResult) {
-    console.log('Returning cached result for:', cleanQuery)
-    return cachedResult
-  }
-
-  try {
-    console.log('Fetching from Google Books API:', cleanQuery)
-    
-    const url = buildSearchUrl(cleanQuery, options)
-    
-    // Create AbortController for request timeout
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), 10000) // 10 second timeout
-
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'CodeCaddy/1.0'
+  const { signal, fresh = false, ...searchOptions } = options
+  // Provider name in the key so switching providers never mixes results
+  const cacheKey = `${provider.name}:search:${cleanQuery}:${JSON.stringify(searchOptions)}`
+
+  return apiCache.fetch(cacheKey, async (loaderSignal) => {
+    try {
+      const { items, totalItems } = await provider.search(cleanQuery, {
+        ...searchOptions,
+        signal: loaderSignal
+      })
+      return {
+        items,
+        totalItems,
+        query: cleanQuery,
+        timestamp: Date.now()
       }
-    })
-
-    clearTimeout(timeoutId)
-
-    if (!response.ok) {
-      const error = new Error(`HTTP ${response.status}`)
-      error.status = response.status
-      throw error
+    } catch (error) {
+      throw handleApiError(error, `searching for "${cleanQuery}"`)
     }
-
-    const data = await response.json()
-
-    // Transform Google Books response to our format
-    const result = {
-      items: (data.items || []).map(transformGoogleBookToBook),
-      totalItems: data.totalItems || 0,
-      query: cleanQuery,
-      timestamp: Date.now()
-    }
-
-    // Cache the successful result
-    apiCache.set(cacheKey, result)
-
-    return result
-
-  } catch (error) {
-    throw handleApiError(error, `searching for "${cleanQuery}"`)
-  }
+  }, { ...(fresh ? FRESH_POLICY : CACHE_POLICIES.search), signal })
 }
 
 /**
  * SOLUTION: Get Book Details by ID
  * Fetches detailed information for a specific book
  */
-export async function getBookById(bookId) {
+export async function getBookById(bookId, { signal } = {}) {
   if (!bookId || typeof bookId !== 'string') {
     throw new Error('Book ID is required')
   }
 
-  const cacheKey = `book:${bookId}`
-  const cachedResult = apiCache.get(cacheKey)
-  if (cachedResult) {
-    return cachedResult
-  }
+  const cacheKey = `${provider.name}:book:${bookId}`
 
-  try {
-    const params = new URLSearchParams()
-    if (API_KEY) {
-      params.append('key', API_KEY)
+  return apiCache.fetch(cacheKey, async (loaderSignal) => {
+    try {
+      return await provider.getById(bookId, { signal: loaderSignal })
+    } catch (error) {
+      throw handleApiError(error, `fetching book "${bookId}"`)
     }
-
-    const url = `${GOOGLE_BOOKS_BASE_URL}/${bookId}?${params.toString()}`
-    
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), 10000)
-
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'CodeCaddy/1.0'
-      }
-    })
-
-    clearTimeout(timeoutId)
-
-    if (!response.ok) {
-      const error = new Error(`HTTP ${response.status}`)
-      error.status = response.status
-      throw error
-    }
-
-    const googleBook = await response.json()
-    const book = transformGoogleBookToBook(googleBook)
-
-    apiCache.set(cacheKey, book)
-    return book
-
-  } catch (error) {
-    throw handleApiError(error, `fetching book "${bookId}"`)
-  }
-}
-
-/**
- * SOLUTION: Advanced Search Options
- * Provides predefined search filters for common use cases
- */
-export const SearchFilters = {
-  // Search by specific fields
-  byTitle: (title) => `intitle:${title}`,
-  byAuthor: (author) => `inauthor:${author}`,
-  bySubject: (subject) => `subject:${subject}`,
-  byPublisher: (publisher) => `inpublisher:${publisher}`,
-  byISBN: (isbn) => `isbn:${isbn}`,
-
-  // Content filters
-  freeEbooks: 'filter:free-ebooks',
-  paidEbooks: 'filter:paid-ebooks',
-  fullViewable: 'filter:full',
-  partialViewable: 'filter:partial',
-
-  // Combine multiple filters
-  combine: (...filters) => filters.join(' ')
+  }, { ...CACHE_POLICIES.book, signal })
 }
 
 /**
  * SOLUTION: Search Suggestions
- * Provides search query suggestions and validation
+ * Live title and author completions for the search box. Uses a small
+ * searchBooks query, so it shares the cache, scheduler and cancellation;
+ * returns [{ type: 'title' | 'author', value }] for the caller to rank.
  */
-export function getSearchSuggestions(query) {
-  const suggestions = []
-  
-  if (query.length < 2) {
-    return suggestions
+export async function getSearchSuggestions(text, { signal, maxResults = 8 } = {}) {
+  const term = text.trim()
+  if (term.length < 2) {
+    return []
   }
 
-  // Add search type suggestions
-  suggestions.push(
-    `Search for "${query}" in titles`,
-    `Search for "${query}" by author`,
-    `Search for "${query}" in subjects`
-  )
-
-  return suggestions
+  const { items } = await searchBooks(term, { maxResults, signal })
+  return items.flatMap(book => [
+    { type: 'title', value: book.title },
+    ...(book.authors || []).map(author => ({ type: 'author', value: author }))
+  ])
 }
 
 /**
@@ -336,15 +200,15 @@ export async function checkApiHealth() {
     const result = await searchBooks('test', { maxResults: 1 })
     return {
       status: 'healthy',
-      message: 'Google Books API is accessible',
-      hasApiKey: !!API_KEY,
+      message: `${provider.label} is accessible`,
+      hasApiKey: provider.hasApiKey,
       timestamp: Date.now()
     }
   } catch (error) {
     return {
       status: 'error',
       message: error.message,
-      hasApiKey: !!API_KEY,
+      hasApiKey: provider.hasApiKey,
       timestamp: Date.now()
     }
   }
@@ -354,8 +218,8 @@ export async function checkApiHealth() {
  * SOLUTION: Clear API Cache
  * Utility function to clear the request cache
  */
-export function clearApiCache() {
-  apiCache.clear()
+export async function clearApiCache() {
+  await apiCache.clear()
   console.log('API cache cleared')
 }
 
@@ -364,9 +228,14 @@ export function clearApiCache() {
  * Expose configuration for debugging and monitoring
  */
 export const ApiConfig = {
-  baseUrl: GOOGLE_BOOKS_BASE_URL,
-  hasApiKey: !!API_KEY,
-  cacheSize: () => apiCache.cache.size,
+  provider: provider.name,
+  baseUrl: provider.baseUrl,
+  hasApiKey: provider.hasApiKey,
+  cacheSize: () => apiCache.size,
+  cachePersisted: Boolean(apiCache.persistence),
+  cacheMetrics: () => apiCache.getMetrics(), // hits, misses, hitRate, dedupedRequests...
+  schedulerStats: () => requestScheduler.getStats(), // retries, timeouts, cancelled, queued...
+  quotaUsage: () => requestScheduler.getStats().quotas[GOOGLE_BOOKS_QUOTA],
   version: '1.0.0'
 }
 
@@ -383,20 +252,31 @@ export const ApiConfig = {
      - Network connectivity checks
      - HTTP status code handling
      - User-friendly error messages
-     - Request timeout protection
+     - Per-attempt timeouts, with retries and jittered exponential
+       backoff for 429/5xx, timeouts and network errors
+     - Retry-After honoured on rate-limited responses
      
   3. Performance Optimizations:
-     - In-memory caching with TTL
-     - Request deduplication
-     - Configurable request limits
-     - Abort controller for timeouts
+     - LRU caching with TTL and stale-while-revalidate
+     - Request deduplication (identical in-flight calls share one request)
+     - Optional IndexedDB tier so results survive reloads
+     - Hit/miss metrics via ApiConfig.cacheMetrics()
+     - Concurrency cap (queued beyond 4 requests)
+     - Daily quota tracking per API key via ApiConfig.quotaUsage()
+     - Caller AbortSignals cancel superseded searches; a shared request
+       is only aborted once every caller has given up
      
-  4. API Key Management:
+  4. Pluggable Providers:
+     - searchBooks/getBookById delegate to the active provider
+     - Google Books for real data, bundled fixtures for offline work
+     - Selected with the VITE_BOOK_PROVIDER env var
+
+  5. API Key Management:
      - Environment variable configuration
      - Graceful degradation without API key
      - Debug information for troubleshooting
      
-  5. Data Transformation:
+  6. Data Transformation:
      - Consistent book object format
      - Handle missing fields gracefully
      - Preserve Google Books metadata
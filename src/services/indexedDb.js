@@ -0,0 +1,53 @@
+// IndexedDB Helpers
+// Thin promise wrappers around the callback-based IndexedDB API, shared by
+// the collection storage and the API cache
+
+export function isIndexedDbAvailable() {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null
+  } catch (error) {
+    return false
+  }
+}
+
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Database Opener
+ * Returns an `openDatabase()` that opens the database once and reuses the
+ * connection; `upgrade(db)` creates the object stores
+ */
+export function createDatabaseOpener(name, version, upgrade) {
+  let dbPromise = null
+
+  return function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version)
+
+        request.onupgradeneeded = () => upgrade(request.result)
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'))
+      }).catch((error) => {
+        // Allow a later call to retry instead of caching the failure
+        dbPromise = null
+        throw error
+      })
+    }
+    return dbPromise
+  }
+}
@@ -0,0 +1,104 @@
+// Fixture Provider
+// Offline book data provider that searches a bundled catalogue,
+// so the app can be developed, demoed and tested with no network
+
+import { fixtureBooks } from './fixtures'
+import { parseAdvancedQuery } from '../searchQuery'
+
+/**
+ * Fixture Normalisation
+ * Fill in the fields the Google Books transform would normally provide
+ * so fixture books look exactly like API results to the rest of the app
+ */
+function toBook(fixture) {
+  return {
+    authors: ['Unknown Author'],
+    description: 'No description available',
+    publishedDate: 'Unknown',
+    pageCount: 0,
+    categories: [],
+    publisher: 'Unknown Publisher',
+    language: 'en',
+    industryIdentifiers: [],
+    averageRating: 0,
+    ratingsCount: 0,
+    maturityRating: 'NOT_MATURE',
+    ...fixture,
+    imageLinks: {
+      thumbnail: null,
+      small: null,
+      medium: null,
+      large: null,
+      ...fixture.imageLinks
+    }
+  }
+}
+
+const books = fixtureBooks.map(toBook)
+
+// Case-insensitive "contains" check that treats an empty needle as a match
+function includesText(haystack, needle) {
+  if (!needle) return true
+  return (haystack || '').toLowerCase().includes(needle.toLowerCase())
+}
+
+/**
+ * Query Matching
+ * Supports the same operators as Google Books (intitle:, inauthor:,
+ * subject:, inpublisher:, isbn:) plus free text across the main fields
+ */
+function matchesQuery(book, fields) {
+  const authors = book.authors.join(' ')
+  const isbns = book.industryIdentifiers.map(id => id.identifier)
+  const freeTextTarget = [book.title, authors, book.description, book.categories.join(' ')].join(' ')
+
+  const words = fields.text.replace(/"/g, '').split(/\s+/).filter(Boolean)
+
+  return words.every(word => includesText(freeTextTarget, word)) &&
+    includesText(book.title, fields.title) &&
+    includesText(authors, fields.author) &&
+    includesText(book.categories.join(' '), fields.subject) &&
+    includesText(book.publisher, fields.publisher) &&
+    (!fields.isbn || isbns.includes(fields.isbn.replace(/[\s-]/g, '')))
+}
+
+// Simulated failures use the same shape as HTTP errors from real providers
+function notFound() {
+  const error = new Error('HTTP 404')
+  error.status = 404
+  return error
+}
+
+/**
+ * Fixture Provider
+ * Implements the book provider interface (see ./index.js)
+ */
+export const fixtureProvider = {
+  name: 'fixtures',
+  label: 'Offline fixtures',
+  baseUrl: null,
+  hasApiKey: false,
+
+  async search(query, options = {}) {
+    const { startIndex = 0, maxResults = 20, orderBy = 'relevance' } = options
+    const fields = parseAdvancedQuery(query)
+
+    let matches = books.filter(book => matchesQuery(book, fields))
+    if (orderBy === 'newest') {
+      matches = [...matches].sort((a, b) => b.publishedDate.localeCompare(a.publishedDate))
+    }
+
+    return {
+      items: matches.slice(startIndex, startIndex + Math.min(maxResults, 40)),
+      totalItems: matches.length
+    }
+  },
+
+  async getById(bookId) {
+    const book = books.find(candidate => candidate.id === bookId)
+    if (!book) {
+      throw notFound()
+    }
+    return book
+  }
+}
@@ -0,0 +1,186 @@
+// Offline Book Fixtures
+// A small bundled catalogue used by the fixture provider for development,
+// demos and tests without network access
+
+export const fixtureBooks = [
+  {
+    id: 'fx-dune',
+    title: 'Dune',
+    authors: ['Frank Herbert'],
+    description: 'Set on the desert planet Arrakis, Dune is the story of Paul Atreides, heir to a noble family tasked with ruling an inhospitable world where the only thing of value is the spice melange.',
+    publishedDate: '2005-08-02',
+    pageCount: 896,
+    categories: ['Fiction'],
+    publisher: 'Ace',
+    language: 'en',
+    industryIdentifiers: [
+      { type: 'ISBN_13', identifier: '9780441013593' },
+      { type: 'ISBN_10', identifier: '0441013597' }
+    ]
+  },
+  {
+    id: 'fx-hobbit',
+    title: 'The Hobbit',
+    authors: ['J.R.R. Tolkien'],
+    description: 'Bilbo Baggins is a hobbit who enjoys a comfortable life, rarely travelling further than his pantry, until the wizard Gandalf and a company of dwarves arrive on his doorstep.',
+    publishedDate: '2012-09-18',
+    pageCount: 300,
+    categories: ['Juvenile Fiction'],
+    publisher: 'Houghton Mifflin Harcourt',
+    language: 'en',
+    industryIdentifiers: [
+      { type: 'ISBN_13', identifier: '9780547928227' },
+      { type: 'ISBN_10', identifier: '054792822X' }
+    ]
+  },
+  {
+    id: 'fx-1984',
+    title: '1984',
+    authors: ['George Orwell'],
+    description: 'A dystopian novel about Winston Smith and his struggle against the all-seeing Party and Big Brother.',
+    publishedDate: '1961-01-01',
+    pageCount: 328,
+    categories: ['Fiction'],
+    publisher: 'Signet Classic',
+    language: 'en',
+    industryIdentifiers: [
+      { type: 'ISBN_13', identifier: '9780451524935' },
+      { type: 'ISBN_10', identifier: '0451524934' }
+    ]
+  },
+  {
+    id: 'fx-pride',
+    title: 'Pride and Prejudice',
+    authors: ['Jane Austen'],
+    description: 'The turbulent relationship between Elizabeth Bennet and Fitzwilliam Darcy, told with wit and irony.',
+    publishedDate: '2003-01-01',
+    pageCount: 480,
+    categories: ['Fiction'],
+    publisher: 'Penguin Classics',
+    language: 'en',
+    industryIdentifiers: [
+      { type: 'ISBN_13', identifier: '9780141439518' },
+      { type: 'ISBN_10', identifier: '0141439513' }
+    ]
+  },
+  {
+    id: 'fx-mockingbird',
+    title: 'To Kill a Mockingbird',
+    authors: ['Harper Lee'],
+    description: 'A story of racial injustice and childhood innocence in the American South.',
+    publishedDate: '2002-01-01',
+    pageCount: 336,
+    categories: ['Fiction'],
+    publisher: 'Harper Perennial',
+    language: 'en',
+    industryIdentifiers: [
+      { type: 'ISBN_13', identifier: '9780060935467' },
+      { type: 'ISBN_10', identifier: '0060935464' }
+    ]
+  },
+  {
+    id: 'fx-gatsby',
+    title: 'The Great Gatsby',
+    authors: ['F. Scott Fitzgerald'],
+    description: 'A classic American novel of wealth, love and the Jazz Age.',
+    publishedDate: '2004-09-30',
+    pageCount: 180,
+    categories: ['Fiction'],
+    publisher: 'Scribner',
+    language: 'en',
+    industryIdentifiers: [
+      { type: 'ISBN_13', identifier: '9780743273565' },
+      { type: 'ISBN_10', identifier: '0743273567' }
+    ]
+  },
+  {
+    id: 'fx-leviathan',
+    title: 'Leviathan Wakes',
+    authors: ['James S. A. Corey'],
+    description: "The first book of The Expanse: a ship's officer and a detective are drawn into a conspiracy that threatens the solar system.",
+    publishedDate: '2011-06-15',
+    pageCount: 592,
+    categories: ['Fiction'],
+    publisher: 'Orbit',
+    language: 'en',
+    industryIdentifiers: [
+      { type: 'ISBN_13', identifier: '9780316129084' },
+      { type: 'ISBN_10', identifier: '0316129089' }
+    ]
+  },
+  {
+    id: 'fx-calibans-war',
+    title: "Caliban's War",
+    authors: ['James S. A. Corey'],
+    description: 'The second book of The Expanse: a supersoldier attacks Marines on Ganymede and the fragile balance between Earth, Mars and the Belt begins to fail.',
+    publishedDate: '2012-06-26',
+    pageCount: 608,
+    categories: ['Fiction'],
+    publisher: 'Orbit',
+    language: 'en',
+    industryIdentifiers: [
+      { type: 'ISBN_13', identifier: '9780316129060' },
+      { type: 'ISBN_10', identifier: '0316129062' }
+    ]
+  },
+  {
+    id: 'fx-pragmatic',
+    title: 'The Pragmatic Programmer',
+    authors: ['David Thomas', 'Andrew Hunt'],
+    description: 'Practical advice for software developers, from personal responsibility and career development to architectural techniques for flexible code.',
+    publishedDate: '2019-09-13',
+    pageCount: 352,
+    categories: ['Computers'],
+    publisher: 'Addison-Wesley Professional',
+    language: 'en',
+    industryIdentifiers: [
+      { type: 'ISBN_13', identifier: '9780135957059' },
+      { type: 'ISBN_10', identifier: '0135957052' }
+    ]
+  },
+  {
+    id: 'fx-clean-code',
+    title: 'Clean Code',
+    authors: ['Robert C. Martin'],
+    description: 'A handbook of agile software craftsmanship with case studies in cleaning up code.',
+    publishedDate: '2008-08-01',
+    pageCount: 464,
+    categories: ['Computers'],
+    publisher: 'Prentice Hall',
+    language: 'en',
+    industryIdentifiers: [
+      { type: 'ISBN_13', identifier: '9780132350884' },
+      { type: 'ISBN_10', identifier: '0132350882' }
+    ]
+  },
+  {
+    id: 'fx-rust',
+    title: 'The Rust Programming Language',
+    authors: ['Steve Klabnik', 'Carol Nichols'],
+    description: 'The official guide to Rust, a systems programming language focused on safety, speed and concurrency.',
+    publishedDate: '2018-08-06',
+    pageCount: 552,
+    categories: ['Computers'],
+    publisher: 'No Starch Press',
+    language: 'en',
+    industryIdentifiers: [
+      { type: 'ISBN_13', identifier: '9781593278281' },
+      { type: 'ISBN_10', identifier: '1593278284' }
+    ]
+  },
+  {
+    id: 'fx-sapiens',
+    title: 'Sapiens',
+    authors: ['Yuval Noah Harari'],
+    description: 'A brief history of humankind, from the Stone Age to the twenty-first century.',
+    publishedDate: '2015-02-10',
+    pageCount: 464,
+    categories: ['History'],
+    publisher: 'Harper',
+    language: 'en',
+    industryIdentifiers: [
+      { type: 'ISBN_13', identifier: '9780062316097' },
+      { type: 'ISBN_10', identifier: '0062316095' }
+    ]
+  }
+]
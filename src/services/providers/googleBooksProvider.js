@@ -0,0 +1,134 @@
+// Google Books Provider
+// Book data provider backed by the Google Books API v1
+
+import { fetchJson } from './http'
+
+/**
+ * Google Books API Configuration
+ * Base URL for Google Books API v1
+ */
+const GOOGLE_BOOKS_BASE_URL = 'https://www.googleapis.com/books/v1/volumes'
+
+/**
+ * Get API key from environment variables
+ * In development, this comes from .env file
+ * In production, this should be set in deployment environment
+ */
+const API_KEY = import.meta.env.VITE_GOOGLE_BOOKS_API_KEY
+
+// Name of the request scheduler quota that counts calls against the key
+export const GOOGLE_BOOKS_QUOTA = 'google-books'
+
+/**
+ * SOLUTION: Book Data Transformation
+ * Google Books API returns data in a specific format that needs to be
+ * transformed to match our application's Book interface
+ */
+export function transformGoogleBookToBook(googleBook) {
+  const volumeInfo = googleBook.volumeInfo || {}
+  const imageLinks = volumeInfo.imageLinks || {}
+  
+  return {
+    id: googleBook.id,
+    title: volumeInfo.title || 'Unknown Title',
+    subtitle: volumeInfo.subtitle || '',
+    authors: volumeInfo.authors || ['Unknown Author'],
+    description: volumeInfo.description || 'No description available',
+    publishedDate: volumeInfo.publishedDate || 'Unknown',
+    pageCount: volumeInfo.pageCount || 0,
+    categories: volumeInfo.categories || [],
+    publisher: volumeInfo.publisher || 'Unknown Publisher',
+    language: volumeInfo.language || 'en',
+    imageLinks: {
+      thumbnail: imageLinks.thumbnail || imageLinks.smallThumbnail || null,
+      small: imageLinks.small || imageLinks.thumbnail || null,
+      medium: imageLinks.medium || imageLinks.small || null,
+      large: imageLinks.large || imageLinks.medium || null
+    },
+    // Additional metadata
+    industryIdentifiers: volumeInfo.industryIdentifiers || [],
+    averageRating: volumeInfo.averageRating || 0,
+    ratingsCount: volumeInfo.ratingsCount || 0,
+    maturityRating: volumeInfo.maturityRating || 'NOT_MATURE',
+    // Google Books specific fields
+    googleBooksId: googleBook.id,
+    selfLink: googleBook.selfLink,
+    previewLink: volumeInfo.previewLink,
+    infoLink: volumeInfo.infoLink,
+    canonicalVolumeLink: volumeInfo.canonicalVolumeLink
+  }
+}
+
+/**
+ * SOLUTION: API Request Builder
+ * Constructs Google Books API URLs with proper parameters
+ */
+function buildSearchUrl(query, options = {}) {
+  const {
+    startIndex = 0,
+    maxResults = 20,
+    orderBy = 'relevance',
+    langRestrict = 'en',
+    printType = 'books',
+    filter = ''
+  } = options
+
+  const params = new URLSearchParams({
+    q: query,
+    startIndex: startIndex.toString(),
+    maxResults: Math.min(maxResults, 40).toString(), // Google Books max is 40
+    orderBy,
+    langRestrict,
+    printType
+  })
+
+  // Availability (free-ebooks, full, ...) is its own parameter, not part of q
+  if (filter) {
+    params.append('filter', filter)
+  }
+
+  // Add API key if available
+  if (API_KEY) {
+    params.append('key', API_KEY)
+  }
+
+  return `${GOOGLE_BOOKS_BASE_URL}?${params.toString()}`
+}
+
+/**
+ * Google Books Provider
+ * Implements the book provider interface (see ./index.js)
+ */
+export const googleBooksProvider = {
+  name: 'google',
+  label: 'Google Books',
+  baseUrl: GOOGLE_BOOKS_BASE_URL,
+  hasApiKey: !!API_KEY,
+
+  async search(query, options = {}) {
+    console.log('Fetching from Google Books API:', query)
+    const data = await fetchJson(buildSearchUrl(query, options), {
+      signal: options.signal,
+      quota: GOOGLE_BOOKS_QUOTA
+    })
+
+    // Transform Google Books response to our format
+    return {
+      items: (data.items || []).map(transformGoogleBookToBook),
+      totalItems: data.totalItems || 0
+    }
+  },
+
+  async getById(bookId, options = {}) {
+    const params = new URLSearchParams()
+    if (API_KEY) {
+      params.append('key', API_KEY)
+    }
+
+    const googleBook = await fetchJson(`${GOOGLE_BOOKS_BASE_URL}/${bookId}?${params.toString()}`, {
+      signal: options.signal,
+      quota: GOOGLE_BOOKS_QUOTA
+    })
+    return transformGoogleBookToBook(googleBook)
+  }
+}
@@ -0,0 +1,48 @@
+// Provider HTTP Helpers
+// Shared request code for providers that talk to remote JSON APIs
+
+import { RequestScheduler } from '../requestScheduler'
+
+// Replaced by googleBooksApi.js with the app's configured scheduler
+let scheduler = new RequestScheduler()
+
+export function setRequestScheduler(nextScheduler) {
+  scheduler = nextScheduler
+}
+
+// Retry-After is either delay-seconds or an HTTP date; returns ms or null
+function parseRetryAfter(value) {
+  if (!value) return null
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * Fetch JSON
+ * Performs a GET through the request scheduler (timeouts, retries,
+ * concurrency cap) and throws an error carrying the HTTP status, plus
+ * `retryAfter` in ms when the server sent one, for non-2xx responses.
+ * Options: { signal, quota }
+ */
+export async function fetchJson(url, { signal, quota } = {}) {
+  return scheduler.schedule(async (attemptSignal) => {
+    const response = await fetch(url, {
+      signal: attemptSignal,
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'CodeCaddy/1.0'
+      }
+    })
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`)
+      error.status = response.status
+      error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'))
+      throw error
+    }
+
+    return response.json()
+  }, { signal, quota })
+}
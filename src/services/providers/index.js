@@ -0,0 +1,62 @@
+// Book Data Providers
+// Registry of interchangeable book data sources behind searchBooks/getBookById
+
+import { googleBooksProvider } from './googleBooksProvider'
+import { fixtureProvider } from './fixtureProvider'
+import { openLibraryProvider, OPEN_LIBRARY_ID_PREFIX } from './openLibraryProvider'
+import { createMergedProvider } from './mergedProvider'
+
+// Google Books first, with Open Library filling the gaps
+const mergedProvider = createMergedProvider({
+  name: 'merged',
+  label: 'Google Books + Open Library',
+  sources: [googleBooksProvider, openLibraryProvider],
+  ownsId: (source, id) => (source === openLibraryProvider) === id.startsWith(OPEN_LIBRARY_ID_PREFIX)
+})
+
+/**
+ * BookProvider Interface
+ * Every provider exposes the same shape so the API service can swap
+ * between them without changing callers:
+ *
+ *   name: string                      // key used in VITE_BOOK_PROVIDER
+ *   label: string                     // human readable name
+ *   search(query, options) => Promise<{ items: Book[], totalItems: number }>
+ *   getById(id, options) => Promise<Book>
+ *
+ * Search `options` accepts startIndex, maxResults, orderBy, langRestrict
+ * and filter (a Google Books availability filter such as 'free-ebooks';
+ * providers without an equivalent ignore it).
+ * Both methods accept `signal`, an AbortSignal that cancels the request.
+ * Providers throw errors with a `status` property for HTTP-style failures
+ * so handleApiError can turn them into user-friendly messages.
+ *
+ * The merged provider also sets `sources`, `sourceIds` and `fieldSources`
+ * on each book to record where every field came from.
+ */
+const providers = {
+  [googleBooksProvider.name]: googleBooksProvider,
+  [openLibraryProvider.name]: openLibraryProvider,
+  [mergedProvider.name]: mergedProvider,
+  [fixtureProvider.name]: fixtureProvider
+}
+
+export const DEFAULT_PROVIDER = googleBooksProvider.name
+
+/**
+ * Resolve Provider
+ * Picks the provider named by VITE_BOOK_PROVIDER, falling back to
+ * Google Books for unknown or missing values
+ */
+export function resolveProvider(name = import.meta.env.VITE_BOOK_PROVIDER) {
+  const key = (name || DEFAULT_PROVIDER).trim().toLowerCase()
+  if (!providers[key]) {
+    console.warn(`Unknown book provider "${name}", using ${DEFAULT_PROVIDER}`)
+    return providers[DEFAULT_PROVIDER]
+  }
+  return providers[key]
+}
+
+export function getAvailableProviders() {
+  return Object.keys(providers)
+}
@@ -0,0 +1,71 @@
+// Merged Provider
+// Fans searches out to several providers and merges duplicate editions
+// by ISBN, filling gaps in one source's metadata from another
+
+import { annotateSources, mergeResultLists, mergeBooks, getIsbns } from '../bookMerge'
+import { SearchFilters } from '../searchQuery'
+
+/**
+ * Create Merged Provider
+ * `sources` are providers in priority order: the first source's values win
+ * and later sources only fill fields the earlier ones are missing.
+ * `ownsId(provider, id)` decides which provider a book ID belongs to.
+ */
+export function createMergedProvider({ name, label, sources, ownsId }) {
+  return {
+    name,
+    label,
+    baseUrl: null,
+    hasApiKey: sources.some(source => source.hasApiKey),
+
+    async search(query, options = {}) {
+      const results = await Promise.allSettled(
+        sources.map(source => source.search(query, options))
+      )
+
+      const fulfilled = results
+        .map((result, index) => ({ result, source: sources[index] }))
+        .filter(({ result }) => result.status === 'fulfilled')
+
+      // Only fail when every source failed; partial results are still useful
+      if (fulfilled.length === 0) {
+        throw results[0].reason
+      }
+
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          console.warn(`${sources[index].label} search failed:`, result.reason)
+        }
+      })
+
+      const lists = fulfilled.map(({ result, source }) =>
+        result.value.items.map(book => annotateSources(book, source.name))
+      )
+
+      return {
+        items: mergeResultLists(lists),
+        totalItems: Math.max(...fulfilled.map(({ result }) => result.value.totalItems))
+      }
+    },
+
+    async getById(bookId, options = {}) {
+      const owner = sources.find(source => ownsId(source, bookId)) || sources[0]
+      const book = annotateSources(await owner.getById(bookId, options), owner.name)
+
+      // Enrich from the other sources using the first ISBN, if any
+      const isbn = getIsbns(book)[0]
+      if (!isbn) return book
+
+      const others = sources.filter(source => source !== owner)
+      const matches = await Promise.allSettled(
+        others.map(source => source.search(SearchFilters.byISBN(isbn), { maxResults: 1, signal: options.signal }))
+      )
+
+      return matches.reduce((merged, match, index) => {
+        const candidate = match.status === 'fulfilled' ? match.value.items[0] : null
+        if (!candidate || !getIsbns(candidate).includes(isbn)) return merged
+        return mergeBooks(merged, annotateSources(candidate, others[index].name))
+      }, book)
+    }
+  }
+}
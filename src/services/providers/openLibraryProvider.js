@@ -0,0 +1,175 @@
+// Open Library Provider
+// Book data provider backed by the Open Library search and works APIs,
+// which has better coverage for older and non-English titles
+
+import { fetchJson } from './http'
+import { parseAdvancedQuery } from '../searchQuery'
+
+const OPEN_LIBRARY_BASE_URL = 'https://openlibrary.org'
+const COVERS_BASE_URL = 'https://covers.openlibrary.org/b/id'
+
+// Open Library work keys look like "/works/OL45804W"; book IDs add a prefix
+// so they never collide with Google Books volume IDs
+export const OPEN_LIBRARY_ID_PREFIX = 'ol-'
+
+// Fields requested from search.json to keep responses small
+const SEARCH_FIELDS = [
+  'key',
+  'title',
+  'subtitle',
+  'author_name',
+  'first_publish_year',
+  'number_of_pages_median',
+  'subject',
+  'publisher',
+  'isbn',
+  'language',
+  'cover_i',
+  'ratings_average',
+  'ratings_count'
+].join(',')
+
+// Open Library uses three-letter MARC codes; map the common ones to ISO 639-1
+const LANGUAGE_CODES = {
+  eng: 'en',
+  fre: 'fr',
+  ger: 'de',
+  spa: 'es',
+  ita: 'it',
+  por: 'pt',
+  rus: 'ru',
+  jpn: 'ja',
+  chi: 'zh',
+  dut: 'nl'
+}
+
+function coverLinks(coverId) {
+  if (!coverId) {
+    return { thumbnail: null, small: null, medium: null, large: null }
+  }
+  return {
+    thumbnail: `${COVERS_BASE_URL}/${coverId}-M.jpg`,
+    small: `${COVERS_BASE_URL}/${coverId}-S.jpg`,
+    medium: `${COVERS_BASE_URL}/${coverId}-M.jpg`,
+    large: `${COVERS_BASE_URL}/${coverId}-L.jpg`
+  }
+}
+
+// Open Library lists every ISBN of every edition; keep a handful
+function toIdentifiers(isbns = []) {
+  return isbns.slice(0, 10).map(isbn => ({
+    type: isbn.length === 10 ? 'ISBN_10' : 'ISBN_13',
+    identifier: isbn
+  }))
+}
+
+function workIdFromKey(key) {
+  return key.replace('/works/', '')
+}
+
+/**
+ * Search Doc Transformation
+ * Maps an Open Library search result to the application's Book shape,
+ * using the same placeholders as the Google Books transform
+ */
+function transformSearchDocToBook(doc) {
+  const id = `${OPEN_LIBRARY_ID_PREFIX}${workIdFromKey(doc.key)}`
+  const language = doc.language?.[0]
+
+  return {
+    id,
+    title: doc.title || 'Unknown Title',
+    subtitle: doc.subtitle,
+    authors: doc.author_name?.length ? doc.author_name : ['Unknown Author'],
+    description: 'No description available',
+    publishedDate: doc.first_publish_year ? String(doc.first_publish_year) : 'Unknown',
+    pageCount: doc.number_of_pages_median || 0,
+    categories: (doc.subject || []).slice(0, 5),
+    publisher: doc.publisher?.[0] || 'Unknown Publisher',
+    language: LANGUAGE_CODES[language] || language || 'en',
+    imageLinks: coverLinks(doc.cover_i),
+    industryIdentifiers: toIdentifiers(doc.isbn),
+    averageRating: doc.ratings_average ? Math.round(doc.ratings_average * 10) / 10 : 0,
+    ratingsCount: doc.ratings_count || 0,
+    maturityRating: 'NOT_MATURE',
+    openLibraryKey: doc.key,
+    infoLink: `${OPEN_LIBRARY_BASE_URL}${doc.key}`
+  }
+}
+
+/**
+ * Query Translation
+ * Converts Google Books style operators into Open Library search params
+ */
+function buildSearchParams(query, options = {}) {
+  const { startIndex = 0, maxResults = 20, orderBy = 'relevance' } = options
+  const fields = parseAdvancedQuery(query)
+
+  const params = new URLSearchParams({
+    offset: String(startIndex),
+    limit: String(Math.min(maxResults, 40)),
+    fields: SEARCH_FIELDS
+  })
+
+  if (fields.text) params.append('q', fields.text)
+  if (fields.title) params.append('title', fields.title)
+  if (fields.author) params.append('author', fields.author)
+  if (fields.subject) params.append('subject', fields.subject)
+  if (fields.publisher) params.append('publisher', fields.publisher)
+  if (fields.isbn) params.append('isbn', fields.isbn)
+  if (orderBy === 'newest') params.append('sort', 'new')
+
+  return params
+}
+
+// Work descriptions are either a string or { type, value }
+function readDescription(description) {
+  if (!description) return null
+  return typeof description === 'string' ? description : description.value
+}
+
+/**
+ * Open Library Provider
+ * Implements the book provider interface (see ./index.js)
+ */
+export const openLibraryProvider = {
+  name: 'openlibrary',
+  label: 'Open Library',
+  baseUrl: OPEN_LIBRARY_BASE_URL,
+  hasApiKey: false,
+
+  async search(query, options = {}) {
+    const params = buildSearchParams(query, options)
+    const data = await fetchJson(`${OPEN_LIBRARY_BASE_URL}/search.json?${params.toString()}`, {
+      signal: options.signal
+    })
+
+    return {
+      items: (data.docs || []).map(transformSearchDocToBook),
+      totalItems: data.numFound || 0
+    }
+  },
+
+  async getById(bookId, options = {}) {
+    const workId = bookId.replace(OPEN_LIBRARY_ID_PREFIX, '')
+
+    // The search index has authors, ISBNs and covers in one request;
+    // the work record adds the description
+    const [searchData, work] = await Promise.all([
+      fetchJson(`${OPEN_LIBRARY_BASE_URL}/search.json?q=key:/works/${workId}&fields=${SEARCH_FIELDS}`, {
+        signal: options.signal
+      }),
+      fetchJson(`${OPEN_LIBRARY_BASE_URL}/works/${workId}.json`, { signal: options.signal })
+    ])
+
+    const doc = searchData.docs?.[0] || { key: `/works/${workId}`, title: work.title }
+    const book = transformSearchDocToBook(doc)
+    const description = readDescription(work.description)
+
+    return {
+      ...book,
+      description: description || book.description,
+      categories: book.categories.length ? book.categories : (work.subjects || []).slice(0, 5)
+    }
+  }
+}
@@ -0,0 +1,278 @@
+// Reading History Import Service
+// Parses Goodreads and StoryGraph CSV exports and matches each row to a
+// book volume, first by ISBN and then by title + author
+
+import { parseCsv } from '../utils/csv'
+import { searchBooks, SearchFilters } from './googleBooksApi'
+import { getIsbns, normalizeIsbn } from './bookMerge'
+
+/**
+ * Supported Formats
+ * Each format is recognised by a few columns only its export contains
+ */
+const FORMATS = {
+  goodreads: {
+    label: 'Goodreads',
+    requiredHeaders: ['Title', 'Author', 'Exclusive Shelf']
+  },
+  storygraph: {
+    label: 'StoryGraph',
+    requiredHeaders: ['Title', 'Authors', 'Read Status']
+  }
+}
+
+export function detectFormat(headers) {
+  return Object.keys(FORMATS).find(format =>
+    FORMATS[format].requiredHeaders.every(header => headers.includes(header))
+  ) || null
+}
+
+export function getFormatLabel(format) {
+  return FORMATS[format]?.label || 'Unknown'
+}
+
+// Goodreads wraps ISBNs as ="0441013597" to stop spreadsheets mangling them
+function cleanIsbn(value) {
+  return normalizeIsbn((value || '').replace(/[="]/g, ''))
+}
+
+// Goodreads/StoryGraph dates are YYYY/MM/DD; store them as YYYY-MM-DD
+function cleanDate(value) {
+  const match = (value || '').trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/)
+  if (!match) return null
+  const [, year, month, day] = match
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`
+}
+
+// Ratings are stored in half-star steps; 0 means unrated in both exports
+function cleanRating(value) {
+  const rating = parseFloat(value)
+  if (!rating || rating <= 0) return null
+  return Math.min(5, Math.max(0.5, Math.round(rating * 2) / 2))
+}
+
+// Goodreads reviews contain <br/> tags
+function cleanReview(value) {
+  return (value || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .trim()
+}
+
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Status Mapping
+ * Statuses without an equivalent become tags so nothing is lost.
+ * Abandoned books aren't 'read', so they stay out of stats and goals.
+ */
+const STATUS_MAP = {
+  'to-read': { status: 'want-to-read' },
+  'currently-reading': { status: 'currently-reading' },
+  read: { status: 'read' },
+  'did-not-finish': { status: 'want-to-read', tag: 'did-not-finish' },
+  paused: { status: 'currently-reading', tag: 'paused' }
+}
+
+function mapStatus(value) {
+  return STATUS_MAP[(value || '').trim().toLowerCase()] || { status: 'want-to-read' }
+}
+
+/**
+ * Row Normalisation
+ * Converts a raw CSV record into a format-independent import row
+ */
+function normalizeGoodreadsRecord(record, lineNumber) {
+  const { status, tag } = mapStatus(record['Exclusive Shelf'])
+  const exclusiveShelf = (record['Exclusive Shelf'] || '').trim()
+  const shelves = splitList(record.Bookshelves).filter(shelf => shelf !== exclusiveShelf)
+
+  return {
+    rowNumber: lineNumber, // line in the CSV file, header included
+    title: record.Title.trim(),
+    authors: [record.Author, ...splitList(record['Additional Authors'])].map(name => name.trim()).filter(Boolean),
+    isbn: cleanIsbn(record.ISBN13) || cleanIsbn(record.ISBN),
+    status,
+    rating: cleanRating(record['My Rating']),
+    dateAdded: cleanDate(record['Date Added']),
+    dateFinished: cleanDate(record['Date Read']),
+    review: cleanReview(record['My Review']),
+    notes: cleanReview(record['Private Notes']),
+    tagNames: tag ? [...shelves, tag] : shelves,
+    pageCount: parseInt(record['Number of Pages'], 10) || 0,
+    publisher: record.Publisher?.trim() || '',
+    publishedDate: record['Original Publication Year']?.trim() || record['Year Published']?.trim() || ''
+  }
+}
+
+function normalizeStoryGraphRecord(record, lineNumber) {
+  const { status, tag } = mapStatus(record['Read Status'])
+  const tags = splitList(record.Tags)
+
+  return {
+    rowNumber: lineNumber,
+    title: record.Title.trim(),
+    authors: splitList(record.Authors),
+    isbn: cleanIsbn(record['ISBN/UID']),
+    status,
+    rating: cleanRating(record['Star Rating']),
+    dateAdded: cleanDate(record['Date Added']),
+    dateFinished: cleanDate(record['Last Date Read']),
+    review: cleanReview(record.Review),
+    notes: '',
+    tagNames: tag ? [...tags, tag] : tags,
+    pageCount: 0,
+    publisher: '',
+    publishedDate: ''
+  }
+}
+
+/**
+ * Parse Reading History
+ * Detects the export format and returns normalised rows
+ */
+export function parseReadingHistory(text) {
+  const { headers, records, lineNumbers } = parseCsv(text)
+  const format = detectFormat(headers)
+
+  if (!format) {
+    throw new Error('Unrecognised CSV. Please upload a Goodreads or StoryGraph export.')
+  }
+
+  const normalize = format === 'goodreads' ? normalizeGoodreadsRecord : normalizeStoryGraphRecord
+  const rows = records
+    .map((record, index) => normalize(record, lineNumbers[index]))
+    .filter(row => row.title)
+
+  return { format, rows }
+}
+
+// Lowercase, strip subtitles and punctuation for title comparison
+function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .split(':')[0]
+    .replace(/\(.*?\)/g, '')
+    .replace(/[^a-z0-9 ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+function lastName(name) {
+  return (name || '').trim().split(/\s+/).pop().toLowerCase()
+}
+
+function isCloseMatch(row, book) {
+  const sameTitle = normalizeTitle(row.title) === normalizeTitle(book.title)
+  const sameAuthor = !row.authors.length ||
+    (book.authors || []).some(author => lastName(author) === lastName(row.authors[0]))
+  return sameTitle && sameAuthor
+}
+
+/**
+ * Match Row
+ * Looks the row up by ISBN, falling back to title + author.
+ * Resolves to { state: 'matched' | 'ambiguous' | 'unmatched', candidates, match }
+ */
+export async function matchRow(row) {
+  if (row.isbn) {
+    try {
+      const { items } = await searchBooks(SearchFilters.byISBN(row.isbn), { maxResults: 5 })
+      const exact = items.filter(book => getIsbns(book).includes(row.isbn))
+      if (exact.length >= 1) {
+        return { state: 'matched', match: exact[0], candidates: exact }
+      }
+    } catch (error) {
+      console.warn(`ISBN lookup failed for row ${row.rowNumber}:`, error)
+    }
+  }
+
+  // Series suffixes and subtitles hurt recall, and author initials are
+  // written inconsistently, so search by main title and surname
+  const mainTitle = row.title.replace(/\(.*?\)/g, '').split(':')[0].trim()
+  const surname = row.authors[0]?.trim().split(/\s+/).pop()
+  const query = SearchFilters.combine(
+    SearchFilters.byTitle(/\s/.test(mainTitle) ? `"${mainTitle}"` : mainTitle),
+    ...(surname ? [SearchFilters.byAuthor(surname)] : [])
+  )
+
+  try {
+    const { items } = await searchBooks(query, { maxResults: 5 })
+    const close = items.filter(book => isCloseMatch(row, book))
+
+    if (close.length === 1) {
+      return { state: 'matched', match: close[0], candidates: items }
+    }
+    if (items.length > 0) {
+      return { state: 'ambiguous', match: close[0] || null, candidates: items }
+    }
+  } catch (error) {
+    console.warn(`Title lookup failed for row ${row.rowNumber}:`, error)
+  }
+
+  return { state: 'unmatched', match: null, candidates: [] }
+}
+
+/**
+ * Match All Rows
+ * Runs lookups with limited concurrency, reporting progress as it goes
+ */
+export async function matchRows(rows, { concurrency = 3, onProgress } = {}) {
+  const results = new Array(rows.length)
+  let nextIndex = 0
+  let completed = 0
+
+  const worker = async () => {
+    while (nextIndex < rows.length) {
+      const index = nextIndex++
+      results[index] = await matchRow(rows[index])
+      completed += 1
+      onProgress?.(completed, rows.length)
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, rows.length) }, worker))
+  return results
+}
+
+/**
+ * Build Imported Book
+ * Combines the matched volume (or the CSV data alone) with the row's
+ * personal data. Tags are returned by name for the context to resolve.
+ */
+export function buildImportedBook(row, volume) {
+  const base = volume || {
+    id: `import-${normalizeTitle(row.title).replace(/ /g, '-')}-${row.rowNumber}`,
+    title: row.title,
+    authors: row.authors.length ? row.authors : ['Unknown Author'],
+    description: 'No description available',
+    publishedDate: row.publishedDate || 'Unknown',
+    pageCount: row.pageCount,
+    categories: [],
+    publisher: row.publisher || 'Unknown Publisher',
+    imageLinks: { thumbnail: null },
+    industryIdentifiers: row.isbn ? [{ type: 'ISBN_13', identifier: row.isbn }] : []
+  }
+
+  const importedAt = new Date().toISOString()
+
+  return {
+    book: {
+      ...base,
+      status: row.status,
+      personalRating: row.rating,
+      review: row.review,
+      notes: row.notes
+        ? [{ id: `note-import-${row.rowNumber}`, text: row.notes, createdAt: importedAt, updatedAt: importedAt }]
+        : [],
+      dateAdded: row.dateAdded,
+      dateFinished: row.status === 'read' ? row.dateFinished : null
+    },
+    tagNames: row.tagNames
+  }
+}
@@ -0,0 +1,43 @@
+// Recommendations Service
+// Runs the candidate searches built by utils/bookSimilarity.js through
+// searchBooks (so they are cached, scheduled and cancellable) and pools
+// the results for ranking
+
+import { searchBooks } from './googleBooksApi'
+import { isAbortError } from './requestScheduler'
+import { getWorkKey } from '../utils/bookSimilarity'
+
+const RESULTS_PER_QUERY = 10
+
+/**
+ * Fetch Recommendation Candidates
+ * One search per query, run side by side. Editions of the same work are
+ * pooled, and `hits` counts how many searches found it. Individual
+ * searches may fail; only when all of them do is the error thrown.
+ *
+ *   queries: [{ query }] from getSimilarQueries / getFeedQueries
+ *   returns [{ book, hits }]
+ */
+export async function fetchRecommendationCandidates(queries, { signal, perQuery = RESULTS_PER_QUERY } = {}) {
+  const results = await Promise.allSettled(
+    queries.map(({ query }) => searchBooks(query, { maxResults: perQuery, langRestrict: 'en', signal }))
+  )
+
+  const failures = results.filter(result => result.status === 'rejected')
+  const aborted = failures.find(result => isAbortError(result.reason))
+  if (aborted) throw aborted.reason
+  if (failures.length > 0 && failures.length === results.length) throw failures[0].reason
+
+  const pooled = new Map()
+  results
+    .filter(result => result.status === 'fulfilled')
+    .forEach(result => {
+      result.value.items.forEach(book => {
+        const key = getWorkKey(book)
+        const existing = pooled.get(key)
+        pooled.set(key, existing ? { ...existing, hits: existing.hits + 1 } : { book, hits: 1 })
+      })
+    })
+
+  return [...pooled.values()]
+}
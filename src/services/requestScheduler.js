@@ -0,0 +1,264 @@
+// Request Scheduler
+// Every provider GET goes through here: a concurrency cap, retries with
+// jittered exponential backoff (honouring Retry-After), per-attempt
+// timeouts, caller cancellation and daily quota tracking
+
+const DEFAULT_OPTIONS = {
+  maxConcurrent: 4,
+  maxRetries: 3,
+  baseDelay: 500, // first retry waits up to this long
+  maxDelay: 10000, // cap for the exponential backoff
+  maxRetryAfter: 60000, // give up rather than wait longer than this
+  timeout: 10000, // per attempt
+  quotas: {} // name -> { limit, storageKey }
+}
+
+// Statuses worth retrying: rate limits and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504]
+
+export function createAbortError(message = 'Request was cancelled') {
+  const error = new Error(message)
+  error.name = 'AbortError'
+  return error
+}
+
+export function isAbortError(error) {
+  return error?.name === 'AbortError'
+}
+
+function isRetryable(error) {
+  if (error.timedOut) return true
+  if (error.status) return RETRYABLE_STATUSES.includes(error.status)
+  // fetch() rejects with a TypeError on network failures
+  return error instanceof TypeError
+}
+
+// Resolve after `ms`, or reject early if `signal` aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError())
+      return
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(createAbortError())
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Quota Tracker
+ * Counts requests per named quota per day, saved in localStorage so the
+ * count survives reloads. Days follow Pacific time, when Google resets
+ * its daily quotas.
+ */
+class QuotaTracker {
+  constructor(name, { limit, storageKey }) {
+    this.name = name
+    this.limit = limit
+    this.storageKey = storageKey
+    this.memory = { day: null, used: 0 } // fallback without localStorage
+  }
+
+  today() {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(new Date())
+  }
+
+  read() {
+    let record = this.memory
+    try {
+      const raw = localStorage.getItem(this.storageKey)
+      if (raw) record = JSON.parse(raw)
+    } catch (error) {
+      // Private modes can block storage; keep counting in memory
+    }
+    return record.day === this.today() ? record : { day: this.today(), used: 0 }
+  }
+
+  record() {
+    const usage = this.read()
+    const next = { day: usage.day, used: usage.used + 1 }
+    this.memory = next
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(next))
+    } catch (error) {
+      // See read()
+    }
+  }
+
+  getUsage() {
+    const { day, used } = this.read()
+    return { day, used, limit: this.limit, remaining: Math.max(0, this.limit - used) }
+  }
+}
+
+export class RequestScheduler {
+  constructor(options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options }
+    this.maxConcurrent = config.maxConcurrent
+    this.maxRetries = config.maxRetries
+    this.baseDelay = config.baseDelay
+    this.maxDelay = config.maxDelay
+    this.maxRetryAfter = config.maxRetryAfter
+    this.timeout = config.timeout
+    this.quotas = Object.fromEntries(
+      Object.entries(config.quotas).map(([name, quota]) => [name, new QuotaTracker(name, quota)])
+    )
+    this.active = 0
+    this.queue = [] // waiting { resolve, reject, signal, onAbort }
+    this.stats = { requests: 0, retries: 0, timeouts: 0, cancelled: 0, failed: 0 }
+  }
+
+  // "Full jitter": a random delay up to the exponential cap
+  getBackoffDelay(attempt) {
+    const cap = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt)
+    return Math.round(Math.random() * cap)
+  }
+
+  /*
+    Concurrency Slots
+    - acquire() waits for a free slot (in FIFO order)
+    - A caller that aborts while queued leaves the queue
+  */
+  acquire(signal) {
+    if (this.active < this.maxConcurrent) {
+      this.active += 1
+      return Promise.resolve()
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, signal }
+      waiter.onAbort = () => {
+        this.queue = this.queue.filter(item => item !== waiter)
+        reject(createAbortError())
+      }
+      signal?.addEventListener('abort', waiter.onAbort, { once: true })
+      this.queue.push(waiter)
+    })
+  }
+
+  release() {
+    const next = this.queue.shift()
+    if (next) {
+      next.signal?.removeEventListener('abort', next.onAbort)
+      next.resolve() // the slot passes straight to the next waiter
+    } else {
+      this.active -= 1
+    }
+  }
+
+  // One attempt with its own timeout, linked to the caller's signal
+  async attempt(task, signal) {
+    const controller = new AbortController()
+    let timedOut = false
+    const timer = setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, this.timeout)
+    const onAbort = () => controller.abort()
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    // Settle on abort even if the task ignores its signal
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(createAbortError()), { once: true })
+    })
+
+    try {
+      return await Promise.race([task(controller.signal), aborted])
+    } catch (error) {
+      if (timedOut) {
+        const timeoutError = new Error(`Request timed out after ${this.timeout / 1000} seconds`)
+        timeoutError.timedOut = true
+        throw timeoutError
+      }
+      if (signal?.aborted) throw createAbortError()
+      throw error
+    } finally {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+    }
+  }
+
+  /**
+   * Stats
+   * Counters since startup, current load and each quota's usage today
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      active: this.active,
+      queued: this.queue.length,
+      quotas: Object.fromEntries(
+        Object.entries(this.quotas).map(([name, tracker]) => [name, tracker.getUsage()])
+      )
+    }
+  }
+
+  /**
+   * Schedule a Request
+   * `task(signal)` performs one attempt and must be idempotent (a GET).
+   * Options: { signal, quota } where `quota` names a configured quota.
+   */
+  async schedule(task, { signal, quota } = {}) {
+    const tracker = quota ? this.quotas[quota] : null
+
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) {
+        this.stats.cancelled += 1
+        throw createAbortError()
+      }
+
+      if (tracker && tracker.getUsage().remaining === 0) {
+        const error = new Error(`Daily ${quota} quota of ${tracker.limit} requests used up`)
+        error.status = 403
+        error.quotaExceeded = true
+        throw error
+      }
+
+      try {
+        await this.acquire(signal)
+      } catch (error) {
+        this.stats.cancelled += 1
+        throw error
+      }
+
+      let error
+      try {
+        this.stats.requests += 1
+        tracker?.record()
+        return await this.attempt(task, signal)
+      } catch (attemptError) {
+        error = attemptError
+      } finally {
+        // Never hold a slot while backing off
+        this.release()
+      }
+
+      if (isAbortError(error)) {
+        this.stats.cancelled += 1
+        throw error
+      }
+      if (error.timedOut) this.stats.timeouts += 1
+
+      const delay = error.retryAfter ?? this.getBackoffDelay(attempt)
+      if (attempt >= this.maxRetries || !isRetryable(error) || delay > this.maxRetryAfter) {
+        this.stats.failed += 1
+        throw error
+      }
+
+      this.stats.retries += 1
+      try {
+        await sleep(delay, signal)
+      } catch (abortError) {
+        this.stats.cancelled += 1
+        throw abortError
+      }
+    }
+  }
+}
@@ -0,0 +1,136 @@
+// Search Query Helpers
+// Builds and parses Google Books style query strings (`intitle:`, `inauthor:` ...)
+// so every provider and the search UI share the same query language
+
+/**
+ * SOLUTION: Advanced Search Options
+ * Provides predefined search filters for common use cases
+ */
+export const SearchFilters = {
+  // Search by specific fields
+  byTitle: (title) => `intitle:${title}`,
+  byAuthor: (author) => `inauthor:${author}`,
+  bySubject: (subject) => `subject:${subject}`,
+  byPublisher: (publisher) => `inpublisher:${publisher}`,
+  byISBN: (isbn) => `isbn:${isbn}`,
+
+  // Content filters
+  freeEbooks: 'filter:free-ebooks',
+  paidEbooks: 'filter:paid-ebooks',
+  fullViewable: 'filter:full',
+  partialViewable: 'filter:partial',
+
+  // Combine multiple filters
+  combine: (...filters) => filters.join(' ')
+}
+
+/**
+ * Advanced Search Fields
+ * Field names used by the advanced search builder, mapped to the
+ * SearchFilters operator each one produces
+ */
+const FIELD_OPERATORS = {
+  title: { operator: 'intitle', build: SearchFilters.byTitle },
+  author: { operator: 'inauthor', build: SearchFilters.byAuthor },
+  subject: { operator: 'subject', build: SearchFilters.bySubject },
+  publisher: { operator: 'inpublisher', build: SearchFilters.byPublisher },
+  isbn: { operator: 'isbn', build: SearchFilters.byISBN }
+}
+
+/**
+ * Availability Filters
+ * Values of the Google Books `filter` request parameter, with their
+ * labels. They are not query operators, so they travel as a search
+ * option (`{ filter }`) next to the query rather than inside it.
+ */
+export const AVAILABILITY_FILTERS = {
+  'free-ebooks': 'Free ebooks',
+  'paid-ebooks': 'Paid ebooks',
+  full: 'Full view',
+  partial: 'Partial preview'
+}
+
+export function isAvailabilityFilter(value) {
+  return Object.keys(AVAILABILITY_FILTERS).includes(value)
+}
+
+// `availability` is kept with the fields for the form, but isn't part of the query
+export const EMPTY_ADVANCED_FIELDS = {
+  text: '',
+  title: '',
+  author: '',
+  subject: '',
+  publisher: '',
+  isbn: '',
+  availability: ''
+}
+
+// Multi-word operator values need quotes or Google treats them as free text
+function quoteValue(value) {
+  const trimmed = value.trim().replace(/"/g, '')
+  return /\s/.test(trimmed) ? `"${trimmed}"` : trimmed
+}
+
+/**
+ * Build Field Query
+ * A single operator query for one field, e.g. ('author', 'Ursula Le Guin')
+ * gives `inauthor:"Ursula Le Guin"`
+ */
+export function buildFieldQuery(field, value) {
+  return buildAdvancedQuery({ [field]: value })
+}
+
+/**
+ * Build Advanced Query
+ * Composes a Google Books query string from separate search fields
+ * using the SearchFilters helpers
+ */
+export function buildAdvancedQuery(fields) {
+  const parts = []
+
+  if (fields.text?.trim()) {
+    parts.push(fields.text.trim())
+  }
+
+  Object.entries(FIELD_OPERATORS).forEach(([field, { build }]) => {
+    const value = fields[field]?.trim()
+    if (value) {
+      parts.push(build(field === 'isbn' ? value.replace(/[\s-]/g, '') : quoteValue(value)))
+    }
+  })
+
+  return SearchFilters.combine(...parts)
+}
+
+/**
+ * Parse Advanced Query
+ * Splits a free-text query containing operators such as `intitle:` or
+ * `inauthor:` back into the separate advanced search fields
+ */
+export function parseAdvancedQuery(query = '') {
+  const fields = { ...EMPTY_ADVANCED_FIELDS }
+  const freeText = []
+
+  const fieldByOperator = Object.fromEntries(
+    Object.entries(FIELD_OPERATORS).map(([field, { operator }]) => [operator, field])
+  )
+
+  // Tokens are `operator:"quoted value"`, `operator:value`, or bare words
+  const tokenPattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"[^"]*"|\S+/g
+  let match
+  while ((match = tokenPattern.exec(query)) !== null) {
+    const operator = (match[1] || match[3] || '').toLowerCase()
+    const value = match[2] ?? match[4]
+
+    if (operator && fieldByOperator[operator]) {
+      const field = fieldByOperator[operator]
+      fields[field] = fields[field] ? `${fields[field]} ${value}` : value
+    } else {
+      freeText.push(match[0])
+    }
+  }
+
+  fields.text = freeText.join(' ')
+  return fields
+}
+
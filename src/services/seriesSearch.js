@@ -0,0 +1,39 @@
+// Series Search
+// Looks up missing series volumes through searchBooks
+
+import { searchBooks, SearchFilters } from './googleBooksApi'
+import { detectSeries, getSeriesKey } from '../utils/series'
+
+/**
+ * Series Volume Query
+ * The series name as a phrase, narrowed by the first author's surname
+ * when known, e.g. `"The Expanse" inauthor:Corey`
+ */
+export function buildSeriesQuery(series) {
+  const surname = series.authors?.[0]?.trim().split(/\s+/).pop()
+  return SearchFilters.combine(
+    `"${series.name.replace(/"/g, '')}"`,
+    ...(surname ? [SearchFilters.byAuthor(surname)] : [])
+  )
+}
+
+/**
+ * Find Series Volume
+ * Searches for the series and splits the results into `matches` (their
+ * title or subtitle names this series and volume number) and `others`,
+ * since many listings don't state their place in the series.
+ * Options: { signal }
+ */
+export async function findSeriesVolume(series, number, { signal } = {}) {
+  const { items } = await searchBooks(buildSeriesQuery(series), { maxResults: 20, langRestrict: 'en', signal })
+
+  const isMatch = (book) => {
+    const detected = detectSeries(book)
+    return Boolean(detected) && detected.number === number && getSeriesKey(detected.name) === series.key
+  }
+
+  return {
+    matches: items.filter(isMatch),
+    others: items.filter(book => !isMatch(book))
+  }
+}
@@ -0,0 +1,107 @@
+// Author Utilities
+// Normalises author name variants so "Tolkien, J.R.R.", "J. R. R. Tolkien"
+// and "JRR Tolkien" all end up on the same author page
+
+// Placeholder the providers use when a book has no author
+export const UNKNOWN_AUTHOR = 'Unknown Author'
+
+function stripAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+}
+
+/*
+  Name Parts
+  - "Last, First" is turned around ("Tolkien, J.R.R." -> "J.R.R. Tolkien")
+  - Initials are split into single letters: "J.R.R.", "J. R. R." and an
+    all-caps "JRR" all give ['J', 'R', 'R']
+  - Everything else is kept as written
+*/
+function getNameParts(name) {
+  let text = String(name || '').trim().replace(/\s+/g, ' ')
+  const comma = text.match(/^([^,]+),\s*([^,]+)$/)
+  if (comma) {
+    text = `${comma[2]} ${comma[1]}`
+  }
+
+  const words = text.split(' ').filter(Boolean)
+  return words.flatMap((word, index) => {
+    const isLast = index === words.length - 1
+    if (/^([A-Za-z]\.)+[A-Za-z]?\.?$/.test(word)) {
+      return word.replace(/\./g, '').toUpperCase().split('')
+    }
+    // Bare capitals before the surname are initials ("JRR Tolkien")
+    if (!isLast && /^[A-Z]{1,3}$/.test(word)) {
+      return word.split('')
+    }
+    return [word]
+  })
+}
+
+/**
+ * Format Author Name
+ * Canonical display form used for author page URLs and headings,
+ * e.g. "J. R. R. Tolkien"
+ */
+export function formatAuthorName(name) {
+  return getNameParts(name)
+    .map(part => (part.length === 1 ? `${part.toUpperCase()}.` : part))
+    .join(' ')
+}
+
+/**
+ * Author Key
+ * Case- and accent-insensitive identity for a name: every variant of
+ * "J. R. R. Tolkien" gives "j r r tolkien"
+ */
+export function getAuthorKey(name) {
+  return getNameParts(stripAccents(String(name || ''))).join(' ').toLowerCase()
+}
+
+/**
+ * Same Author
+ * Exact key match, or the same surname with given names that agree on
+ * their initials ("John Ronald Reuel Tolkien" ~ "J. R. R. Tolkien")
+ */
+export function isSameAuthor(a, b) {
+  const first = getAuthorKey(a).split(' ')
+  const second = getAuthorKey(b).split(' ')
+  if (first.join(' ') === second.join(' ')) return true
+  if (first.length !== second.length || first.length < 2) return false
+  if (first[first.length - 1] !== second[second.length - 1]) return false
+
+  return first.slice(0, -1).every((part, index) => {
+    const other = second[index]
+    return part === other || ((part.length === 1 || other.length === 1) && part[0] === other[0])
+  })
+}
+
+export function isKnownAuthor(name) {
+  return Boolean(name?.trim()) && name !== UNKNOWN_AUTHOR
+}
+
+export function getAuthorPath(name) {
+  return `/author/${encodeURIComponent(formatAuthorName(name))}`
+}
+
+export function isByAuthor(book, name) {
+  return (book.authors || []).some(author => isSameAuthor(author, name))
+}
+
+function normalizeTitle(title) {
+  return stripAccents(String(title || '')).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+}
+
+/**
+ * Find Owned Copy
+ * The collection book matching a search result: the same volume, or
+ * another edition with the same title by the same author
+ */
+export function findOwnedCopy(book, collection) {
+  const title = normalizeTitle(book.title)
+  return collection.find(owned => owned.id === book.id) ||
+    collection.find(owned =>
+      normalizeTitle(owned.title) === title &&
+      (owned.authors || []).some(author => isByAuthor(book, author))
+    ) ||
+    null
+}
@@ -0,0 +1,191 @@
+// Book Similarity
+// Taste profile, candidate queries and ranking for recommendations.
+// Candidates come from searches on a book's (or the reader's favourite)
+// authors, categories and publishers; see services/recommendations.js.
+
+import { buildAdvancedQuery, buildFieldQuery } from '../services/searchQuery'
+
+// Placeholders the providers use for missing data
+const UNKNOWN_VALUES = ['unknown author', 'unknown publisher']
+
+// How much a collection book says about the reader's taste
+function getSeedWeight(book) {
+  const rating = book.personalRating || 0
+  if (rating >= 5) return 3
+  if (rating >= 4) return 2
+  if (rating > 0 && rating <= 2) return 0 // finished but disliked
+  return book.status === 'read' ? 1 : 0
+}
+
+function normalize(value) {
+  return String(value || '').trim().toLowerCase()
+}
+
+function isKnown(value) {
+  return Boolean(normalize(value)) && !UNKNOWN_VALUES.includes(normalize(value))
+}
+
+// Editions of the same book share a title and first author
+export function getWorkKey(book) {
+  const title = normalize(book.title).replace(/[^a-z0-9]+/g, ' ').trim()
+  return `${title}|${normalize(book.authors?.[0])}`
+}
+
+function getTraits(book) {
+  return {
+    author: (book.authors || []).filter(isKnown),
+    category: book.categories || [],
+    publisher: isKnown(book.publisher) ? [book.publisher] : []
+  }
+}
+
+/**
+ * Taste Profile
+ * Authors, categories and publishers of the books the reader finished or
+ * rated highly, each with a total weight and the books behind it (best
+ * first). Books rated 1-2 stars don't count.
+ *
+ *   { author: Map<key, { value, weight, books }>, category: ..., publisher: ... }
+ */
+export function buildTasteProfile(books) {
+  const profile = { author: new Map(), category: new Map(), publisher: new Map() }
+
+  books.forEach(book => {
+    const weight = getSeedWeight(book)
+    if (weight === 0) return
+
+    Object.entries(getTraits(book)).forEach(([kind, values]) => {
+      values.forEach(value => {
+        const key = normalize(value)
+        const entry = profile[kind].get(key) || { value, weight: 0, books: [] }
+        entry.weight += weight
+        entry.books.push({ book, weight })
+        profile[kind].set(key, entry)
+      })
+    })
+  })
+
+  Object.values(profile).forEach(traits => {
+    traits.forEach(entry => entry.books.sort((a, b) => b.weight - a.weight))
+  })
+  return profile
+}
+
+export function hasTasteProfile(profile) {
+  return profile.author.size > 0 || profile.category.size > 0
+}
+
+function topTraits(traits, count) {
+  return [...traits.values()].sort((a, b) => b.weight - a.weight).slice(0, count)
+}
+
+/**
+ * Similar Book Queries
+ * Searches for a book's authors, its categories, and its publisher
+ * (narrowed to its main category when it has one)
+ *
+ *   returns [{ kind, value, query }]
+ */
+export function getSimilarQueries(book) {
+  const { author, category, publisher } = getTraits(book)
+  const queries = [
+    ...author.slice(0, 2).map(value => ({ kind: 'author', value, query: buildFieldQuery('author', value) })),
+    ...category.slice(0, 2).map(value => ({ kind: 'category', value, query: buildFieldQuery('subject', value) }))
+  ]
+
+  if (publisher[0]) {
+    queries.push({
+      kind: 'publisher',
+      value: publisher[0],
+      query: buildAdvancedQuery({ publisher: publisher[0], subject: category[0] || '' })
+    })
+  }
+  return queries
+}
+
+/**
+ * Feed Queries
+ * The same kinds of searches, built from the strongest traits in the
+ * taste profile rather than from one book
+ */
+export function getFeedQueries(profile) {
+  return [
+    ...topTraits(profile.author, 3).map(({ value }) => ({ kind: 'author', value, query: buildFieldQuery('author', value) })),
+    ...topTraits(profile.category, 2).map(({ value }) => ({ kind: 'category', value, query: buildFieldQuery('subject', value) })),
+    ...topTraits(profile.publisher, 1).map(({ value }) => ({ kind: 'publisher', value, query: buildFieldQuery('publisher', value) }))
+  ]
+}
+
+// Score multipliers per trait: sharing an author says the most
+const TRAIT_WEIGHTS = { author: 3, category: 1, publisher: 0.5 }
+
+// Likeness to the book being viewed outweighs general taste
+const SOURCE_MATCH_WEIGHT = 4
+
+function describeSeed({ book }) {
+  return book.status === 'read' ? `you read "${book.title}"` : `you rated "${book.title}" ${book.personalRating} stars`
+}
+
+function explainProfileMatch(kind, entry) {
+  const seed = describeSeed(entry.books[0])
+  if (kind === 'author') return `Because ${seed}, also by ${entry.value}`
+  if (kind === 'category') return `Because ${seed} (${entry.value})`
+  return `Because ${seed}, from the same publisher`
+}
+
+function explainSourceMatch(kind, value, source) {
+  if (kind === 'author') return `Also by ${value}`
+  if (kind === 'category') return `Also ${value}, like "${source.title}"`
+  return `Same publisher as "${source.title}"`
+}
+
+/**
+ * Rank Recommendations
+ * Scores each candidate by the traits it shares with the taste profile
+ * (and with `source`, when recommending books similar to one book), plus
+ * a little for turning up in several searches. Books already in the
+ * collection, including other editions, are left out.
+ *
+ *   candidates: [{ book, hits }] from fetchRecommendationCandidates
+ *   returns [{ book, score, reasons, explanation }], best first
+ */
+export function rankRecommendations(candidates, { books, profile, source = null, limit = 12 }) {
+  const ownedIds = new Set(books.map(book => book.id))
+  const ownedWorks = new Set(books.map(getWorkKey))
+  if (source) {
+    ownedIds.add(source.id)
+    ownedWorks.add(getWorkKey(source))
+  }
+  const sourceTraits = source ? getTraits(source) : null
+
+  return candidates
+    .filter(({ book }) => !ownedIds.has(book.id) && !ownedWorks.has(getWorkKey(book)))
+    .map(({ book, hits }) => {
+      const reasons = []
+
+      Object.entries(getTraits(book)).forEach(([kind, values]) => {
+        values.forEach(value => {
+          const key = normalize(value)
+          const shared = sourceTraits?.[kind].find(item => normalize(item) === key)
+          if (shared) {
+            reasons.push({ score: TRAIT_WEIGHTS[kind] * SOURCE_MATCH_WEIGHT, text: explainSourceMatch(kind, shared, source) })
+          }
+          const entry = profile[kind].get(key)
+          if (entry) {
+            reasons.push({ score: TRAIT_WEIGHTS[kind] * entry.weight, text: explainProfileMatch(kind, entry) })
+          }
+        })
+      })
+
+      reasons.sort((a, b) => b.score - a.score)
+      const score = reasons.reduce((total, reason) => total + reason.score, 0) + hits * 0.5
+      return {
+        book,
+        score,
+        reasons: [...new Set(reasons.map(reason => reason.text))],
+        explanation: reasons[0]?.text || 'Turned up in searches based on your reading'
+      }
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+}
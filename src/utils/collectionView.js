@@ -0,0 +1,142 @@
+// Collection View Utilities
+// Sorting, full-text filtering and range filters for the collection page.
+// The view settings are saved as a user preference, so every field here
+// must stay JSON-serialisable.
+
+import { matchesTagFilter } from './shelves'
+import { getBookSeries } from './series'
+
+/**
+ * Default View
+ * Range bounds are strings straight from the inputs; '' means unbounded
+ */
+export const DEFAULT_COLLECTION_VIEW = {
+  status: 'all',
+  minRating: 0, // 0 = any, -1 = unrated only
+  text: '',
+  tagIds: [],
+  tagMatchMode: 'any', // 'any' (OR) | 'all' (AND)
+  minPages: '',
+  maxPages: '',
+  minYear: '',
+  maxYear: '',
+  sortBy: 'added',
+  sortDirection: 'asc'
+}
+
+export const COLLECTION_SORTS = [
+  { value: 'added', label: 'Date added' },
+  { value: 'title', label: 'Title' },
+  { value: 'author', label: 'Author surname' },
+  { value: 'published', label: 'Published date' },
+  { value: 'pages', label: 'Page count' },
+  { value: 'rating', label: 'My rating' }
+]
+
+// "The Hobbit" sorts under H
+function getSortTitle(book) {
+  return (book.title || '').toLowerCase().replace(/^(the|a|an)\s+/, '')
+}
+
+export function getAuthorSurname(book) {
+  const author = (book.authors || []).find(name => name !== 'Unknown Author')
+  return author ? author.trim().split(/\s+/).pop().toLowerCase() : ''
+}
+
+export function getPublishedYear(book) {
+  const match = String(book.publishedDate || '').match(/^\d{4}/)
+  return match ? Number(match[0]) : null
+}
+
+// Sort keys; null/'' means unknown and always sorts last
+const SORT_KEYS = {
+  added: book => book.dateAdded || null,
+  title: getSortTitle,
+  author: getAuthorSurname,
+  published: book => (getPublishedYear(book) ? book.publishedDate : null),
+  pages: book => Number(book.pageCount) || null,
+  rating: book => book.personalRating || null
+}
+
+/**
+ * Sort Collection
+ * 'added' sorts on dateAdded (a day), keeping collection order within a
+ * day; an unknown sort keeps collection order
+ */
+export function sortCollection(books, sortBy = 'added', direction = 'asc') {
+  const factor = direction === 'desc' ? -1 : 1
+  const getKey = SORT_KEYS[sortBy]
+
+  if (!getKey) {
+    return direction === 'desc' ? [...books].reverse() : books
+  }
+
+  const isMissing = value => value === null || value === ''
+  return books
+    .map((book, index) => ({ book, index, key: getKey(book) }))
+    .sort((a, b) => {
+      if (isMissing(a.key) || isMissing(b.key)) {
+        return isMissing(a.key) - isMissing(b.key) || a.index - b.index
+      }
+      const order = typeof a.key === 'string' ? a.key.localeCompare(b.key) : a.key - b.key
+      return order * factor || a.index - b.index
+    })
+    .map(({ book }) => book)
+}
+
+/**
+ * Full-text Match
+ * Every word in the query must appear in the title, series, authors,
+ * description, review or notes
+ */
+export function matchesText(book, text) {
+  const terms = text.toLowerCase().split(/\s+/).filter(Boolean)
+  if (!terms.length) return true
+
+  const haystack = [
+    book.title,
+    book.subtitle,
+    getBookSeries(book)?.name,
+    ...(book.authors || []),
+    book.description,
+    book.review,
+    ...(book.notes || []).map(note => note.text)
+  ].filter(Boolean).join(' ').toLowerCase()
+
+  return terms.every(term => haystack.includes(term))
+}
+
+// Inclusive range check; a book with no value fails any bounded range
+function inRange(value, min, max) {
+  if (min === '' && max === '') return true
+  if (value === null) return false
+  return (min === '' || value >= Number(min)) && (max === '' || value <= Number(max))
+}
+
+/**
+ * Filter Collection
+ * Applies every filter in `view`; `tagIds` should already exclude
+ * deleted tags
+ */
+export function filterCollection(books, view) {
+  return books.filter(book => {
+    if (view.status !== 'all' && book.status !== view.status) return false
+    if (!matchesTagFilter(book, view.tagIds, view.tagMatchMode)) return false
+    if (view.minRating === -1 && book.personalRating) return false
+    if (view.minRating > 0 && (book.personalRating || 0) < view.minRating) return false
+    if (!inRange(Number(book.pageCount) || null, view.minPages, view.maxPages)) return false
+    if (!inRange(getPublishedYear(book), view.minYear, view.maxYear)) return false
+    return matchesText(book, view.text)
+  })
+}
+
+// Whether any filter (besides the status shelf) narrows the list
+export function hasActiveFilters(view) {
+  return Boolean(
+    view.text.trim() ||
+    view.tagIds.length ||
+    view.minRating ||
+    view.minPages !== '' || view.maxPages !== '' ||
+    view.minYear !== '' || view.maxYear !== ''
+  )
+}
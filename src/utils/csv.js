@@ -0,0 +1,105 @@
+// CSV Utilities
+// Minimal RFC 4180 parser and writer: quoted fields, escaped quotes,
+// embedded commas/newlines and CRLF line endings
+
+/**
+ * Parse CSV Lines
+ * Returns the non-blank rows as { fields, line }, where `line` is the
+ * 1-based line the row starts on in the original text
+ */
+function parseCsvLines(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+  let line = 1
+  let rowStart = 1
+
+  // Strip a UTF-8 byte order mark, which spreadsheet exports often add
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        // Count newlines inside quoted fields, not lone CRs of a CRLF
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(field)
+      rows.push({ fields: row, line: rowStart })
+      row = []
+      field = ''
+      line++
+      rowStart = line
+    } else {
+      field += char
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push({ fields: row, line: rowStart })
+  }
+
+  // Drop blank lines
+  return rows.filter(({ fields }) => fields.some(value => value.trim() !== ''))
+}
+
+/**
+ * Parse CSV
+ * Returns an array of rows, each an array of field strings
+ */
+export function parseCsvRows(text) {
+  return parseCsvLines(text).map(({ fields }) => fields)
+}
+
+/**
+ * Parse CSV with Header
+ * Returns { headers, records, lineNumbers } where each record maps
+ * header -> value and lineNumbers[i] is the line record i starts on
+ */
+export function parseCsv(text) {
+  const [header, ...rows] = parseCsvLines(text)
+  const trimmedHeaders = (header?.fields || []).map(name => name.trim())
+
+  const records = rows.map(({ fields }) =>
+    Object.fromEntries(trimmedHeaders.map((name, index) => [name, fields[index] ?? '']))
+  )
+
+  return { headers: trimmedHeaders, records, lineNumbers: rows.map(row => row.line) }
+}
+
+// Quote a field when it contains a delimiter, quote or newline
+function escapeCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Write CSV
+ * Serialises `records` using `columns` ([{ header, value: record => any }])
+ */
+export function toCsv(records, columns) {
+  const lines = [
+    columns.map(column => escapeCsvField(column.header)).join(','),
+    ...records.map(record =>
+      columns.map(column => escapeCsvField(column.value(record))).join(',')
+    )
+  ]
+  return lines.join('\r\n') + '\r\n'
+}
@@ -0,0 +1,123 @@
+// Reading Goal Utilities
+// Yearly goals ("24 books in 2026", "10,000 pages", "5 Science books")
+// and pacing against the share of the year that has passed
+
+import { todayIsoDate } from './readingProgress'
+
+/**
+ * Goal Types
+ * Every goal is { id, year, type, target, category?, achieved? } where
+ * `achieved` is the count recorded once the goal's year has ended
+ */
+export const GOAL_TYPES = [
+  { value: 'books', label: 'Books', unit: 'books' },
+  { value: 'pages', label: 'Pages', unit: 'pages' },
+  { value: 'category', label: 'Books in a category', unit: 'books' }
+]
+
+export function createGoalId() {
+  return `goal-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+// Goals with the same year, type and category replace each other
+export function isSameGoal(a, b) {
+  return a.year === b.year &&
+    a.type === b.type &&
+    (a.category || '').toLowerCase() === (b.category || '').toLowerCase()
+}
+
+export function describeGoal(goal) {
+  const target = goal.target.toLocaleString()
+  if (goal.type === 'pages') return `${target} pages in ${goal.year}`
+  if (goal.type === 'category') return `${target} ${goal.category} books in ${goal.year}`
+  return `${target} books in ${goal.year}`
+}
+
+// Google categories look like "Science / Physics", so match on substrings
+export function matchesCategory(book, category) {
+  const wanted = (category || '').trim().toLowerCase()
+  return Boolean(wanted) && (book.categories || []).some(name => name.toLowerCase().includes(wanted))
+}
+
+// Books that moved to 'read' during the given year
+export function getBooksFinishedIn(books, year) {
+  return books.filter(book => book.status === 'read' && book.dateFinished?.startsWith(String(year)))
+}
+
+function countTowardGoal(goal, books) {
+  const finished = getBooksFinishedIn(books, goal.year)
+  if (goal.type === 'pages') {
+    return finished.reduce((total, book) => total + (Number(book.pageCount) || 0), 0)
+  }
+  if (goal.type === 'category') {
+    return finished.filter(book => matchesCategory(book, goal.category)).length
+  }
+  return finished.length
+}
+
+/**
+ * Close Past Goals
+ * Records `achieved` on goals whose year has ended, so later edits to
+ * books (removing one, changing a finish date) don't rewrite history.
+ * Returns the same array when there is nothing to close.
+ */
+export function closePastGoals(goals, books, today = todayIsoDate()) {
+  const currentYear = Number(today.slice(0, 4))
+  const isOpen = goal => goal.year < currentYear && goal.achieved == null
+  if (!goals.some(isOpen)) return goals
+  return goals.map(goal => (isOpen(goal) ? { ...goal, achieved: countTowardGoal(goal, books) } : goal))
+}
+
+// Goals restored by undo/redo keep the counts recorded since
+export function keepAchieved(restored, current) {
+  const achievedById = new Map(current.map(goal => [goal.id, goal.achieved]))
+  return restored.map((goal) => {
+    const achieved = achievedById.get(goal.id)
+    return goal.achieved == null && achieved != null ? { ...goal, achieved } : goal
+  })
+}
+
+function getYearElapsed(year, today) {
+  const currentYear = Number(today.slice(0, 4))
+  if (year < currentYear) return 1
+  if (year > currentYear) return 0
+
+  const start = Date.parse(`${year}-01-01`)
+  const end = Date.parse(`${year + 1}-01-01`)
+  return (Date.parse(today) - start + 24 * 60 * 60 * 1000) / (end - start)
+}
+
+/**
+ * Goal Progress
+ * Returns { current, target, percent, expected, difference, state } where
+ * state is one of:
+ *   'complete'  target reached
+ *   'ahead' / 'on-track' / 'behind'  pacing for the current year
+ *   'missed'    a past year that ended short
+ *   'upcoming'  a future year
+ * Closed goals report their recorded `achieved` count
+ */
+export function computeGoalProgress(goal, books, today = todayIsoDate()) {
+  const current = goal.achieved ?? countTowardGoal(goal, books)
+
+  const elapsed = getYearElapsed(goal.year, today)
+  const expected = Math.round(goal.target * elapsed)
+  const difference = current - expected
+
+  let state
+  if (current >= goal.target) state = 'complete'
+  else if (elapsed === 0) state = 'upcoming'
+  else if (elapsed === 1) state = 'missed'
+  else if (difference > 0) state = 'ahead'
+  else if (difference < 0) state = 'behind'
+  else state = 'on-track'
+
+  return {
+    current,
+    target: goal.target,
+    percent: goal.target ? Math.min(100, Math.round((current / goal.target) * 100)) : 0,
+    expected,
+    difference,
+    state
+  }
+}
@@ -0,0 +1,119 @@
+// Reading Progress Utilities
+// Page-level progress for books being read, plus the reading session log
+
+/**
+ * Default Progress
+ * Shape stored on every collection book under `progress`:
+ *   currentPage: last page reached (books with a page count)
+ *   percent: progress percentage (used when pageCount is unknown)
+ *   sessions: [{ date, fromPage, toPage, pagesRead, fromPercent, toPercent }]
+ */
+export function createProgress() {
+  return {
+    currentPage: 0,
+    percent: 0,
+    sessions: []
+  }
+}
+
+// Books without a page count track a percentage instead
+export function tracksPages(book) {
+  return Number(book?.pageCount) > 0
+}
+
+/**
+ * Progress Percentage
+ * 0-100 for any book, whichever unit it is tracked in
+ */
+export function getProgressPercent(book) {
+  const progress = book?.progress
+  if (!progress) return 0
+
+  if (tracksPages(book)) {
+    return Math.min(100, Math.round((progress.currentPage / book.pageCount) * 100))
+  }
+  return Math.min(100, Math.round(progress.percent))
+}
+
+export function isFinished(book) {
+  return getProgressPercent(book) >= 100
+}
+
+// Today's date as YYYY-MM-DD in local time
+export function todayIsoDate() {
+  const now = new Date()
+  const month = String(now.getMonth() + 1).padStart(2, '0')
+  const day = String(now.getDate()).padStart(2, '0')
+  return `${now.getFullYear()}-${month}-${day}`
+}
+
+/**
+ * Apply Progress Update
+ * Returns the book's new progress after reaching `value` (a page number,
+ * or a percentage for books without a page count) on `date`.
+ * Forward movement is logged as a reading session; corrections backwards
+ * only move the bookmark.
+ */
+export function applyProgressUpdate(book, value, date = todayIsoDate()) {
+  const progress = book.progress || createProgress()
+  const numericValue = Number(value) || 0
+
+  if (tracksPages(book)) {
+    const toPage = Math.max(0, Math.min(book.pageCount, Math.round(numericValue)))
+    const fromPage = progress.currentPage
+    const pagesRead = toPage - fromPage
+
+    return {
+      ...progress,
+      currentPage: toPage,
+      percent: Math.round((toPage / book.pageCount) * 100),
+      sessions: pagesRead > 0
+        ? [...progress.sessions, { date, fromPage, toPage, pagesRead }]
+        : progress.sessions
+    }
+  }
+
+  const toPercent = Math.max(0, Math.min(100, numericValue))
+  const fromPercent = progress.percent
+
+  return {
+    ...progress,
+    percent: toPercent,
+    sessions: toPercent > fromPercent
+      ? [...progress.sessions, { date, fromPercent, toPercent, pagesRead: 0 }]
+      : progress.sessions
+  }
+}
+
+// Total pages logged across all sessions
+export function getPagesRead(book) {
+  return (book?.progress?.sessions || []).reduce((total, session) => total + (session.pagesRead || 0), 0)
+}
+
+/**
+ * Apply Status Change
+ * Returns the book with its new status and reading dates:
+ *   currently-reading: dateStarted set (reset when re-reading a finished book)
+ *   read: dateFinished set
+ *   want-to-read: not started, so both dates are cleared
+ * Dates are YYYY-MM-DD; dateAdded is never touched here.
+ */
+export function applyStatusChange(book, status, date = todayIsoDate()) {
+  if (book.status === status) return book
+
+  if (status === 'currently-reading') {
+    const isReread = book.status === 'read'
+    return {
+      ...book,
+      status,
+      dateStarted: isReread || !book.dateStarted ? date : book.dateStarted,
+      dateFinished: null
+    }
+  }
+
+  if (status === 'read') {
+    return { ...book, status, dateFinished: date }
+  }
+
+  return { ...book, status, dateStarted: null, dateFinished: null }
+}
@@ -0,0 +1,140 @@
+// Reading Statistics
+// Pure calculations behind the HomePage stats dashboard. All dates are
+// YYYY-MM-DD strings, so ranges compare as plain strings.
+
+import { BOOK_STATUSES } from './shelves'
+import { todayIsoDate } from './readingProgress'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+function shiftDate(isoDate, { days = 0, months = 0 }) {
+  const [year, month, day] = isoDate.split('-').map(Number)
+  const date = new Date(year, month - 1 + months, day + days)
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-')
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS)
+}
+
+/**
+ * Date Range Presets
+ * Each resolves to { from, to } (inclusive, null = unbounded)
+ */
+export const STATS_RANGES = [
+  { value: 'all', label: 'All time' },
+  { value: 'this-year', label: 'This year' },
+  { value: 'last-year', label: 'Last year' },
+  { value: 'last-12-months', label: 'Last 12 months' },
+  { value: 'last-30-days', label: 'Last 30 days' },
+  { value: 'custom', label: 'Custom range' }
+]
+
+export function resolveStatsRange(preset, custom = {}, today = todayIsoDate()) {
+  const year = today.slice(0, 4)
+
+  switch (preset) {
+    case 'this-year':
+      return { from: `${year}-01-01`, to: today }
+    case 'last-year':
+      return { from: `${year - 1}-01-01`, to: `${year - 1}-12-31` }
+    case 'last-12-months':
+      return { from: shiftDate(today, { months: -12, days: 1 }), to: today }
+    case 'last-30-days':
+      return { from: shiftDate(today, { days: -29 }), to: today }
+    case 'custom':
+      return { from: custom.from || null, to: custom.to || null }
+    default:
+      return { from: null, to: null }
+  }
+}
+
+export function isInRange(date, { from, to }) {
+  if (!from && !to) return true
+  if (!date) return false
+  return (!from || date >= from) && (!to || date <= to)
+}
+
+function countBy(items, getKeys) {
+  const counts = new Map()
+  items.forEach(item => {
+    getKeys(item).forEach(key => counts.set(key, (counts.get(key) || 0) + 1))
+  })
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+}
+
+function average(values) {
+  return values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0
+}
+
+// Finished books grouped by month ("2024-03") or year ("2024"), oldest first
+function groupFinished(finished, keyLength) {
+  const groups = new Map()
+  finished.forEach(book => {
+    const key = book.dateFinished.slice(0, keyLength)
+    const group = groups.get(key) || { key, books: 0, pages: 0 }
+    group.books += 1
+    group.pages += Number(book.pageCount) || 0
+    groups.set(key, group)
+  })
+  return [...groups.values()].sort((a, b) => a.key.localeCompare(b.key))
+}
+
+export function formatMonthKey(key) {
+  const [year, month] = key.split('-')
+  return `${MONTH_NAMES[Number(month) - 1]} ${year}`
+}
+
+/**
+ * Compute Reading Stats
+ * - Finished books, pages, monthly/yearly totals, average length and pace
+ *   count books whose dateFinished falls in the range
+ * - Status split, top authors and genres cover books added in the range
+ *   (books with no dateAdded only appear in the all-time view)
+ * - Pages per day comes from logged reading sessions in the range
+ */
+export function computeReadingStats(books, range = { from: null, to: null }, today = todayIsoDate()) {
+  const added = books.filter(book => isInRange(book.dateAdded, range))
+  const finished = books.filter(book => book.status === 'read' && book.dateFinished && isInRange(book.dateFinished, range))
+  const lengths = finished.map(book => Number(book.pageCount) || 0).filter(Boolean)
+
+  const sessions = books.flatMap(book => book.progress?.sessions || [])
+    .filter(session => isInRange(session.date, range))
+  const pagesLogged = sessions.reduce((total, session) => total + (session.pagesRead || 0), 0)
+
+  // Days covered by the range, or since the first logged session for all time
+  const sessionDates = sessions.map(session => session.date).sort()
+  const rangeStart = range.from || sessionDates[0]
+  const rangeEnd = range.to && range.to < today ? range.to : today
+  const rangeDays = rangeStart ? Math.max(1, daysBetween(rangeStart, rangeEnd) + 1) : 0
+
+  const daysToFinish = finished
+    .filter(book => book.dateStarted && book.dateStarted <= book.dateFinished)
+    .map(book => daysBetween(book.dateStarted, book.dateFinished) + 1)
+
+  return {
+    booksFinished: finished.length,
+    pagesFinished: finished.reduce((total, book) => total + (Number(book.pageCount) || 0), 0),
+    byMonth: groupFinished(finished, 7),
+    byYear: groupFinished(finished, 4),
+    statusCounts: BOOK_STATUSES.map(({ value, label }) => ({
+      value,
+      label,
+      count: added.filter(book => book.status === value).length
+    })),
+    topAuthors: countBy(added, book => (book.authors || []).filter(author => author !== 'Unknown Author')).slice(0, 5),
+    genres: countBy(added, book => book.categories || []).slice(0, 8),
+    averageLength: average(lengths),
+    averageDaysToFinish: average(daysToFinish),
+    pagesLogged,
+    pagesPerDay: rangeDays ? Math.round((pagesLogged / rangeDays) * 10) / 10 : 0,
+    readingDays: new Set(sessionDates).size
+  }
+}
@@ -0,0 +1,108 @@
+// Saved Searches
+// Search history and named saved searches that remember which volumes
+// their last run returned, so later runs can point out new arrivals
+
+export const MAX_SEARCH_HISTORY = 20
+
+export const SEARCH_SORT_LABELS = {
+  relevance: 'Most relevant',
+  newest: 'Newest first'
+}
+
+export function createSavedSearchId() {
+  return `search-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
+}
+
+/**
+ * SavedSearch Shape
+ * {
+ *   id, name, query, orderBy,
+ *   filter: string,          // availability filter, '' for any
+ *   runOnOpen: boolean,      // re-run automatically when the app opens
+ *   createdAt, lastRunAt,    // ISO timestamps (lastRunAt null until run)
+ *   lastResultIds: string[], // volume IDs returned by the last run
+ *   newResultIds: string[],  // volumes not seen before, until marked seen
+ *   lastTotal: number
+ * }
+ */
+export function createSavedSearch({ name, query, orderBy = 'relevance', filter = '', runOnOpen = false }) {
+  return {
+    id: createSavedSearchId(),
+    name: name.trim() || query,
+    query,
+    orderBy,
+    filter,
+    runOnOpen,
+    createdAt: new Date().toISOString(),
+    lastRunAt: null,
+    lastResultIds: [],
+    newResultIds: [],
+    lastTotal: 0
+  }
+}
+
+// Entries saved before availability filters existed have no `filter`
+export function isSameSearch(a, b) {
+  return a.query === b.query &&
+    (a.orderBy || 'relevance') === (b.orderBy || 'relevance') &&
+    (a.filter || '') === (b.filter || '')
+}
+
+export function findSavedSearch(savedSearches, query, orderBy, filter) {
+  return savedSearches.find(saved => isSameSearch(saved, { query, orderBy, filter })) || null
+}
+
+/**
+ * Add to Search History
+ * Newest first; repeating a search moves it to the top instead of
+ * adding a second entry
+ */
+export function addToSearchHistory(history, entry) {
+  const others = history.filter(item => !isSameSearch(item, entry))
+  return [entry, ...others].slice(0, MAX_SEARCH_HISTORY)
+}
+
+/**
+ * Apply Saved Search Run
+ * Records a run's result IDs. Volumes missing from the previous run are
+ * flagged as new (the first run only sets the baseline), and earlier new
+ * volumes stay flagged until marked seen as long as they still appear.
+ */
+export function applySavedSearchRun(saved, { resultIds, totalItems, ranAt }) {
+  const previous = new Set(saved.lastResultIds)
+  const arrivals = saved.lastRunAt ? resultIds.filter(id => !previous.has(id)) : []
+  const stillNew = saved.newResultIds.filter(id => resultIds.includes(id) && !arrivals.includes(id))
+
+  return {
+    ...saved,
+    lastRunAt: ranAt,
+    lastResultIds: resultIds,
+    newResultIds: [...stillNew, ...arrivals],
+    lastTotal: totalItems
+  }
+}
+
+// Fields updated by runs and "mark seen" rather than by the user's edits
+const RUN_FIELDS = ['lastRunAt', 'lastResultIds', 'newResultIds', 'lastTotal']
+
+/**
+ * Keep Run State
+ * Saved searches restored by undo/redo keep their latest run results, so
+ * undoing an unrelated change doesn't roll back runs or "mark seen"
+ */
+export function keepRunState(restored, current) {
+  const currentById = new Map(current.map(saved => [saved.id, saved]))
+  return restored.map((saved) => {
+    const latest = currentById.get(saved.id)
+    if (!latest) return saved
+    return { ...saved, ...Object.fromEntries(RUN_FIELDS.map(field => [field, latest[field]])) }
+  })
+}
+
+// Search page URL for a query, matching the params SearchPage reads
+export function getSearchPath({ query, orderBy = 'relevance', filter = '' }) {
+  const params = new URLSearchParams({ q: query })
+  if (orderBy !== 'relevance') params.set('sort', orderBy)
+  if (filter) params.set('filter', filter)
+  return `/search?${params.toString()}`
+}
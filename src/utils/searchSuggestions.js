@@ -0,0 +1,122 @@
+// Search Suggestions
+// Typed autocomplete suggestions for the search box, merged from recent
+// searches, the collection and live API completions
+
+import { buildFieldQuery, parseAdvancedQuery } from '../services/searchQuery'
+
+/**
+ * Suggestion Types
+ * title, author and subject map onto the matching SearchFilters operator;
+ * `query` is a recent search that mixes fields and is run exactly as typed
+ */
+export const SUGGESTION_TYPES = {
+  title: { label: 'Title' },
+  author: { label: 'Author' },
+  subject: { label: 'Subject' },
+  query: { label: 'Search' }
+}
+
+export const SUGGESTION_SOURCES = {
+  recent: 'Recent',
+  collection: 'In your collection',
+  api: 'Suggested'
+}
+
+// Most suggestions taken from each source, before the overall limit
+const SOURCE_LIMITS = {
+  recent: 3,
+  collection: 4,
+  api: Infinity
+}
+
+// Placeholders the providers use for missing data
+const PLACEHOLDERS = ['unknown title', 'unknown author']
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Matches Suggestion Text
+ * Every typed word must start some word of the candidate, so "le gu"
+ * matches "Ursula K. Le Guin" and "dune mess" matches "Dune Messiah"
+ */
+export function matchesSuggestionText(candidate, text) {
+  const words = normalize(candidate).split(/[\s.,:;'"()-]+/).filter(Boolean)
+  return normalize(text).split(' ').filter(Boolean)
+    .every(term => words.some(word => word.startsWith(term)))
+}
+
+// A recent query made of a single title/author/subject field keeps that type
+function describeRecentSearch(query) {
+  const fields = parseAdvancedQuery(query)
+  const filled = Object.keys(SUGGESTION_TYPES).filter(type => fields[type])
+  const otherFields = Object.entries(fields)
+    .filter(([field, value]) => value && !filled.includes(field))
+
+  if (filled.length === 1 && otherFields.length === 0) {
+    return { type: filled[0], value: fields[filled[0]] }
+  }
+  return { type: 'query', value: query }
+}
+
+function getCollectionCandidates(books) {
+  return books.flatMap(book => [
+    { type: 'title', value: book.title },
+    ...(book.authors || []).map(author => ({ type: 'author', value: author })),
+    ...(book.categories || []).map(category => ({ type: 'subject', value: category }))
+  ])
+}
+
+function createSuggestion({ type, value }, source) {
+  return {
+    id: `${source}:${type}:${normalize(value)}`,
+    type,
+    value,
+    source,
+    query: type === 'query' ? value : buildFieldQuery(type, value)
+  }
+}
+
+/**
+ * Build Suggestions
+ * Recent searches first, then collection matches, then API completions,
+ * with duplicates (same type and text) dropped. With no text typed yet,
+ * only recent searches are offered.
+ *
+ *   remote: [{ type, value }] from getSearchSuggestions
+ *   returns [{ id, type, value, source, query }]
+ */
+export function buildSuggestions({ text, recentSearches = [], books = [], remote = [], limit = 8 }) {
+  const term = text.trim()
+  const candidatesBySource = {
+    recent: recentSearches.map(describeRecentSearch),
+    collection: term ? getCollectionCandidates(books) : [],
+    api: term ? remote : []
+  }
+
+  const seen = new Set()
+  const suggestions = []
+
+  Object.entries(candidatesBySource).forEach(([source, candidates]) => {
+    let taken = 0
+    for (const candidate of candidates) {
+      if (suggestions.length >= limit || taken >= SOURCE_LIMITS[source]) break
+
+      const key = `${candidate.type}:${normalize(candidate.value)}`
+      if (!candidate.value || PLACEHOLDERS.includes(normalize(candidate.value)) || seen.has(key)) continue
+      if (term && !matchesSuggestionText(candidate.value, term)) continue
+
+      seen.add(key)
+      suggestions.push(createSuggestion(candidate, source))
+      taken += 1
+    }
+  })
+
+  return suggestions
+}
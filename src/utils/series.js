@@ -0,0 +1,175 @@
+// Series Utilities
+// Detects series information in titles and subtitles, and groups the
+// collection into series in reading order with the gaps marked
+
+import { UNKNOWN_AUTHOR } from './authors'
+
+/**
+ * Book Series Field
+ * book.series holds a manual choice and overrides detection:
+ *   null / undefined   detect from the title and subtitle
+ *   { name, number }   set by hand (number may be null)
+ *   { name: '' }       marked as not part of a series
+ */
+
+const NUMBER_WORDS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen',
+  'nineteen', 'twenty'
+]
+
+// Highest volume number accepted; larger ones are usually years or IDs
+export const MAX_SERIES_NUMBER = 999
+
+// Gaps are only listed up to this volume, so a stray "#2019" can't
+// produce thousands of missing rows
+const MAX_GAP_FILL = 50
+
+const VOLUME_WORD = '(?:book|volume|vol\\.?|part|no\\.?)'
+const NUMBER = '(\\d+(?:\\.\\d+)?|[a-z]+)'
+
+/*
+  Recognised Forms
+  - Titles (Goodreads style):  "Leviathan Wakes (The Expanse, #1)"
+                               "Caliban's War (The Expanse Book 2)"
+  - Subtitles:                 "Book 3 of the Expanse"
+                               "The Expanse, Book 3" / "Expanse #3"
+*/
+const TITLE_PATTERNS = [
+  new RegExp(`\\(([^()]+?),?\\s*#\\s*${NUMBER}\\)`, 'i'),
+  new RegExp(`\\(([^()]+?),?\\s+${VOLUME_WORD}\\s+${NUMBER}\\)`, 'i')
+]
+
+const SUBTITLE_PATTERNS = [
+  { pattern: new RegExp(`^${VOLUME_WORD}\\s+${NUMBER}\\s+(?:of|in)\\s+(?:the\\s+)?(.+)$`, 'i'), nameIndex: 2, numberIndex: 1 },
+  { pattern: new RegExp(`^(.+?),?\\s+${VOLUME_WORD}\\s+${NUMBER}$`, 'i'), nameIndex: 1, numberIndex: 2 },
+  { pattern: new RegExp(`^(.+?),?\\s*#\\s*${NUMBER}$`, 'i'), nameIndex: 1, numberIndex: 2 }
+]
+
+function parseNumber(text) {
+  const value = String(text).toLowerCase()
+  if (/^\d+(\.\d+)?$/.test(value)) return isValidSeriesNumber(Number(value)) ? Number(value) : null
+  const index = NUMBER_WORDS.indexOf(value)
+  return index === -1 ? null : index
+}
+
+export function isValidSeriesNumber(number) {
+  return Number.isFinite(number) && number >= 0 && number <= MAX_SERIES_NUMBER
+}
+
+function cleanName(name) {
+  return name.trim().replace(/[,:;-]+$/, '').trim()
+}
+
+function matchTitle(title) {
+  for (const pattern of TITLE_PATTERNS) {
+    const match = title.match(pattern)
+    const number = match && parseNumber(match[2])
+    if (number !== null && match) return { name: cleanName(match[1]), number }
+  }
+  return null
+}
+
+function matchSubtitle(subtitle) {
+  for (const { pattern, nameIndex, numberIndex } of SUBTITLE_PATTERNS) {
+    const match = subtitle.trim().match(pattern)
+    const number = match && parseNumber(match[numberIndex])
+    if (number !== null && match) return { name: cleanName(match[nameIndex]), number }
+  }
+  return null
+}
+
+/**
+ * Detect Series
+ * Parses { name, number } from the title, then the subtitle (or the part
+ * of the title after a colon). Returns null when nothing matches.
+ */
+export function detectSeries(book) {
+  const title = book.title || ''
+  const [, afterColon = ''] = title.split(/:(.+)/)
+  return matchTitle(title) ||
+    (book.subtitle ? matchSubtitle(book.subtitle) : null) ||
+    (afterColon ? matchSubtitle(afterColon) : null)
+}
+
+/**
+ * Book Series
+ * The manual series if one was set, otherwise the detected one.
+ * Returns { name, number, isManual } or null.
+ */
+export function getBookSeries(book) {
+  if (book.series) {
+    if (!book.series.name) return null
+    const { number } = book.series
+    return { ...book.series, number: isValidSeriesNumber(number) ? number : null, isManual: true }
+  }
+  const detected = detectSeries(book)
+  return detected ? { ...detected, isManual: false } : null
+}
+
+// "The Expanse" and "Expanse" group together
+export function getSeriesKey(name) {
+  return name.toLowerCase().replace(/^the\s+/, '').replace(/[^a-z0-9]+/g, ' ').trim()
+}
+
+// Title without the "(Series, #n)" suffix, for display and searching
+export function stripSeriesSuffix(title) {
+  return TITLE_PATTERNS.reduce((text, pattern) => text.replace(pattern, ''), title || '').trim()
+}
+
+export function formatSeriesLabel(series) {
+  return series.number != null ? `${series.name} #${series.number}` : series.name
+}
+
+/**
+ * Group by Series
+ * Collection books grouped into series, sorted by name. Each series has
+ * its volumes in reading order and the whole-number volumes missing
+ * between 1 and the highest owned (listed up to #50):
+ *
+ *   { key, name, volumes: [{ number, books }], unnumbered: Book[],
+ *     missing: number[], ownedCount, readCount, authors }
+ */
+export function groupBySeries(books) {
+  const groups = new Map()
+
+  books.forEach(book => {
+    const series = getBookSeries(book)
+    if (!series) return
+
+    const key = getSeriesKey(series.name)
+    const group = groups.get(key) || { key, name: series.name, byNumber: new Map(), unnumbered: [], authors: new Set() }
+    if (series.number != null) {
+      group.byNumber.set(series.number, [...(group.byNumber.get(series.number) || []), book])
+    } else {
+      group.unnumbered.push(book)
+    }
+    for (const author of book.authors || []) {
+      group.authors.add(author)
+    }
+    groups.set(key, group)
+  })
+
+  return [...groups.values()]
+    .map(({ byNumber, authors, ...group }) => {
+      const volumes = [...byNumber.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([number, volumeBooks]) => ({ number, books: volumeBooks }))
+      const highest = Math.min(MAX_GAP_FILL, Math.floor(Math.max(0, ...byNumber.keys())))
+      const missing = []
+      for (let number = 1; number <= highest; number++) {
+        if (!byNumber.has(number)) missing.push(number)
+      }
+      const allBooks = [...volumes.flatMap(volume => volume.books), ...group.unnumbered]
+
+      return {
+        ...group,
+        volumes,
+        missing,
+        ownedCount: allBooks.length,
+        readCount: allBooks.filter(book => book.status === 'read').length,
+        authors: [...authors].filter(author => author !== UNKNOWN_AUTHOR)
+      }
+    })
+    .sort((a, b) => a.key.localeCompare(b.key))
+}
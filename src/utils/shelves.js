@@ -0,0 +1,56 @@
+// Shelf and Tag Utilities
+// Built-in reading statuses plus user-defined tags, and the filter logic
+// used to combine them
+
+/**
+ * Built-in Statuses
+ * The three fixed shelves every collection book sits on exactly one of
+ */
+export const BOOK_STATUSES = [
+  { value: 'want-to-read', label: 'Want to Read' },
+  { value: 'currently-reading', label: 'Currently Reading' },
+  { value: 'read', label: 'Read' }
+]
+
+export function getStatusLabel(status) {
+  return BOOK_STATUSES.find(option => option.value === status)?.label || 'Unknown'
+}
+
+// Default colours offered when creating a tag
+export const TAG_COLORS = [
+  '#4a90e2',
+  '#7ed321',
+  '#f5a623',
+  '#d0021b',
+  '#9013fe',
+  '#50e3c2',
+  '#8b572a',
+  '#6c757d'
+]
+
+export function createTagId() {
+  return `tag-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+/**
+ * Tag Filter
+ * mode 'all' (AND): the book must carry every selected tag
+ * mode 'any' (OR): the book must carry at least one selected tag
+ * An empty selection matches every book
+ */
+export function matchesTagFilter(book, selectedTagIds, mode = 'any') {
+  if (!selectedTagIds.length) return true
+  const bookTags = book.tagIds || []
+  return mode === 'all'
+    ? selectedTagIds.every(tagId => bookTags.includes(tagId))
+    : selectedTagIds.some(tagId => bookTags.includes(tagId))
+}
+
+// Readable text colour (black or white) for a tag background
+export function getTagTextColor(hex) {
+  const value = hex.replace('#', '')
+  const r = parseInt(value.slice(0, 2), 16)
+  const g = parseInt(value.slice(2, 4), 16)
+  const b = parseInt(value.slice(4, 6), 16)
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#333' : '#fff'
+}
@@ -0,0 +1,94 @@
+// Undo History
+// Wraps a reducer with undo/redo over selected state slices. Each
+// tracked action that changes those slices records one history entry
+// holding the slices as they were before it ran.
+
+export const HISTORY_LIMIT = 50
+
+export function createHistory() {
+  return {
+    past: [], // [{ id, label, destructive, key, snapshot }], oldest first
+    future: [], // entries undone and available to redo, most recent last
+    nextId: 1
+  }
+}
+
+function takeSnapshot(state, slices) {
+  return Object.fromEntries(slices.map(slice => [slice, state[slice]]))
+}
+
+function hasChanged(before, after, slices) {
+  return slices.some(slice => before[slice] !== after[slice])
+}
+
+/**
+ * With History
+ * - `describe(action, state)` returns { label, destructive?, key? } for
+ *   actions that should be undoable, or null for everything else
+ * - Consecutive entries sharing a `key` (e.g. repeated edits to the same
+ *   review) collapse into one step
+ * - `resetOn` actions (loading new data) clear the history
+ * - `restore(snapshot, state)` adjusts a snapshot before UNDO/REDO puts
+ *   it back, for fields that change outside the history
+ * Adds UNDO and REDO actions and keeps the history on `state.history`
+ */
+export function withHistory(reducer, { slices, describe, resetOn = [], restore = snapshot => snapshot }) {
+  return (state, action) => {
+    const history = state.history || createHistory()
+
+    if (action.type === 'UNDO' || action.type === 'REDO') {
+      const isUndo = action.type === 'UNDO'
+      const source = isUndo ? history.past : history.future
+      const entry = source[source.length - 1]
+      if (!entry) return state
+
+      // The entry swaps its snapshot with the current slices as it moves
+      const moved = { ...entry, snapshot: takeSnapshot(state, slices) }
+      const rest = source.slice(0, -1)
+      const target = isUndo ? history.future : history.past
+
+      return {
+        ...state,
+        ...restore(entry.snapshot, state),
+        history: {
+          ...history,
+          past: isUndo ? rest : [...target, moved],
+          future: isUndo ? [...target, moved] : rest
+        }
+      }
+    }
+
+    const next = reducer(state, action)
+
+    if (resetOn.includes(action.type)) {
+      return { ...next, history: createHistory() }
+    }
+
+    const description = describe(action, state)
+    if (!description || !hasChanged(state, next, slices)) {
+      return next
+    }
+
+    const previous = history.past[history.past.length - 1]
+    if (description.key && previous?.key === description.key && history.future.length === 0) {
+      return { ...next, history }
+    }
+
+    const entry = {
+      id: history.nextId,
+      label: description.label,
+      destructive: Boolean(description.destructive),
+      key: description.key || null,
+      snapshot: takeSnapshot(state, slices)
+    }
+
+    return {
+      ...next,
+      history: {
+        past: [...history.past, entry].slice(-HISTORY_LIMIT),
+        future: [],
+        nextId: history.nextId + 1
+      }
+    }
+  }
+}